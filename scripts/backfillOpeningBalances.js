@@ -0,0 +1,31 @@
+// One-off migration: give every user whose stored coins differ from their coin ledger an
+// `opening_balance` ledger entry for the difference, so balances from before the ledger existed
+// reconcile. Run it once, right after deploying the ledger; drift found later is for
+// GET /api/admin/coins/reconcile to report, not for this script to paper over.
+//   node scripts/backfillOpeningBalances.js            # record the opening balances
+//   node scripts/backfillOpeningBalances.js --dry-run  # only count them
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { getCollections } = require('../src/collections');
+const { backfillOpeningBalances } = require('../src/ledger');
+
+const dryRun = process.argv.includes('--dry-run');
+const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.DB_CLUSTER}.mongodb.net/?retryWrites=true&w=majority`;
+
+async function run() {
+  const client = new MongoClient(uri);
+  try {
+    await client.connect();
+    const count = await backfillOpeningBalances(getCollections(client.db('Microtask')), { dryRun });
+    console.log(dryRun
+      ? `🔎 ${count} user(s) need an opening balance`
+      : `✅ Recorded opening balances for ${count} user(s)`);
+  } finally {
+    await client.close();
+  }
+}
+
+run().catch((err) => {
+  console.error('❌ Migration failed:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,40 @@
+// One-off migration: identity now lives in Firebase only, so remove the bcrypt password
+// hashes that registration used to store on user documents.
+//   node scripts/removePasswordHashes.js            # remove them
+//   node scripts/removePasswordHashes.js --dry-run  # only count them
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+
+const dryRun = process.argv.includes('--dry-run');
+const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.DB_CLUSTER}.mongodb.net/?retryWrites=true&w=majority`;
+
+async function run() {
+  const client = new MongoClient(uri);
+  try {
+    await client.connect();
+    const users = client.db('Microtask').collection('users');
+    const filter = { password: { $exists: true } };
+
+    const count = await users.countDocuments(filter);
+    if (dryRun) {
+      console.log(`🔎 ${count} user(s) still have a stored password hash`);
+      return;
+    }
+
+    const result = await users.updateMany(filter, { $unset: { password: '' } });
+    console.log(`✅ Removed password hashes from ${result.modifiedCount} user(s)`);
+
+    // Profiles without a uid can't sign in with a Firebase token; list them for follow-up
+    const unlinked = await users.find({ uid: { $exists: false } }).project({ email: 1 }).toArray();
+    if (unlinked.length) {
+      console.warn(`⚠️ ${unlinked.length} user(s) have no Firebase uid:`, unlinked.map(user => user.email).join(', '));
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+run().catch((err) => {
+  console.error('❌ Migration failed:', err);
+  process.exitCode = 1;
+});
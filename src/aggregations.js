@@ -0,0 +1,11 @@
+// Aggregation building blocks shared by the stats and metrics endpoints
+
+// Sum a field that older documents may have stored as a string
+const sumAsNumber = (field) => ({
+  $sum: { $convert: { input: field, to: 'double', onError: 0, onNull: 0 } },
+});
+
+// Payout records written before coin purchases existed have no `type`
+const payoutFilter = { type: { $ne: 'coin_purchase' } };
+
+module.exports = { sumAsNumber, payoutFilter };
@@ -0,0 +1,101 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const { getCollections } = require('./collections');
+const { createLedger } = require('./ledger');
+const { createNotifier } = require('./notifications');
+const { createMailer, createTransportFromEnv } = require('./email');
+const { createStorageFromEnv } = require('./storage');
+const { createImageUploads } = require('./uploads');
+const { createVerifyToken, verifyRole } = require('./middleware/auth');
+const { createMemoryStore, createRateLimiters } = require('./middleware/rateLimit');
+const { createIdempotency } = require('./middleware/idempotency');
+const { createAudit } = require('./middleware/audit');
+const createAuthRoutes = require('./routes/auth');
+const createTaskRoutes = require('./routes/tasks');
+const createBuyerRoutes = require('./routes/buyer');
+const createWorkerRoutes = require('./routes/worker');
+const createWithdrawalRoutes = require('./routes/withdrawals');
+const createAdminRoutes = require('./routes/admin');
+const createAdminUserRoutes = require('./routes/adminUsers');
+const createModerationRoutes = require('./routes/moderation');
+const createNotificationRoutes = require('./routes/notifications');
+const createPublicRoutes = require('./routes/public');
+const createUploadRoutes = require('./routes/uploads');
+const createAuditRoutes = require('./routes/audit');
+const createExportRoutes = require('./routes/exports');
+const { createPaymentRoutes, createStripeWebhookRoutes } = require('./routes/payments');
+
+// Build the Express app without side effects: no connecting, no listening.
+//   db     - a connected MongoDB Db
+//   client - the MongoClient that owns `db`, used to start transactions
+//   stripe - a Stripe client
+//   auth   - firebase-admin's auth(), or a stub with verifyIdToken(token) and deleteUser(uid)
+//   mailTransport - optional email transport (see src/email/transports.js); defaults to one built from env
+//   storage - optional file storage adapter (see src/storage.js); defaults to local disk from env
+//   rateLimitStore - optional rate limit counter store (see src/middleware/rateLimit.js); defaults to in-memory
+function createApp({
+  db,
+  client,
+  stripe,
+  auth,
+  mailTransport = createTransportFromEnv(),
+  storage = createStorageFromEnv(),
+  rateLimitStore = createMemoryStore(),
+}) {
+  const collections = getCollections(db);
+  const ledger = createLedger({ client, collections });
+  const verifyToken = createVerifyToken({ auth, collections });
+  const notifier = createNotifier({ collections });
+  const mailer = createMailer({ collections, transport: mailTransport });
+  const uploads = createImageUploads({ collections, storage });
+  const limiters = createRateLimiters({ store: rateLimitStore });
+  const idempotent = createIdempotency({ collections });
+  const audit = createAudit({ collections });
+  const deps = { collections, ledger, notifier, mailer, uploads, limiters, idempotent, audit, verifyToken, stripe, auth };
+
+  const app = express();
+
+  // Behind a proxy/load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+  }
+
+  // Middleware Setup
+  app.use(cors());
+  app.use(createStripeWebhookRoutes(deps));
+  app.use(express.json());
+  app.use(bodyParser.json());
+
+  // Serve uploaded images when they are stored on local disk
+  if (storage.dir) {
+    app.use(storage.publicPath, express.static(storage.dir, { maxAge: '365d', immutable: true }));
+  }
+
+  // Every /api/admin route requires an authenticated admin
+  app.use('/api/admin', verifyToken, verifyRole('admin'));
+
+  app.use(createAuthRoutes(deps));
+  app.use(createTaskRoutes(deps));
+  app.use(createBuyerRoutes(deps));
+  app.use(createWorkerRoutes(deps));
+  app.use(createWithdrawalRoutes(deps));
+  app.use(createPaymentRoutes(deps));
+  app.use(createAdminRoutes(deps));
+  app.use(createAdminUserRoutes(deps));
+  app.use(createModerationRoutes(deps));
+  app.use(createNotificationRoutes(deps));
+  app.use(createPublicRoutes(deps));
+  app.use(createUploadRoutes(deps));
+  app.use(createAuditRoutes(deps));
+  app.use(createExportRoutes(deps));
+
+  // Sample route
+  app.get('/', (req, res) => {
+    res.send('Parcel Server is running');
+  });
+
+  return app;
+}
+
+module.exports = createApp;
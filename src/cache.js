@@ -0,0 +1,25 @@
+// Small in-process cache with a fixed time-to-live, for expensive reads served to public traffic
+
+function createTtlCache({ ttlMs }) {
+  const entries = new Map();
+
+  // Return the cached value for `key`, or call `load()` and cache its result.
+  // Concurrent misses share one load; a failed load is not cached.
+  function wrap(key, load) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+    const value = Promise.resolve().then(load);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    value.catch(() => {
+      if (entries.get(key)?.value === value) entries.delete(key);
+    });
+    return value;
+  }
+
+  const clear = () => entries.clear();
+
+  return { wrap, clear };
+}
+
+module.exports = { createTtlCache };
@@ -0,0 +1,83 @@
+// Named handles for every collection the routes use
+function getCollections(db) {
+  return {
+    usersCollection: db.collection('users'),
+    tasksCollection: db.collection('tasks'),
+    WithdrawalsCollection: db.collection('withdrawals'),
+    PaymentsCollection: db.collection('payments'),
+    CoinTransactionsCollection: db.collection('coin_transactions'),
+    TaskReportsCollection: db.collection('task_reports'),
+    ModerationLogCollection: db.collection('moderation_log'),
+    NotificationsCollection: db.collection('notifications'),
+    EmailQueueCollection: db.collection('email_queue'),
+    UploadsCollection: db.collection('uploads'),
+    IdempotencyKeysCollection: db.collection('idempotency_keys'),
+    AuditLogCollection: db.collection('audit_log'),
+  };
+}
+
+// Create the indexes the routes rely on; safe to run on every startup
+async function ensureIndexes(db) {
+  const {
+    usersCollection,
+    tasksCollection,
+    WithdrawalsCollection,
+    PaymentsCollection,
+    CoinTransactionsCollection,
+    TaskReportsCollection,
+    ModerationLogCollection,
+    NotificationsCollection,
+    EmailQueueCollection,
+    UploadsCollection,
+    IdempotencyKeysCollection,
+    AuditLogCollection,
+  } = getCollections(db);
+
+  await usersCollection.createIndex({ uid: 1 }, { unique: true });
+  await usersCollection.createIndex({ email: 1 });
+  await usersCollection.createIndex({ role: 1, createdAt: -1 });
+  await usersCollection.createIndex({ role: 1, coins: -1 }); // Coin leaderboard
+
+  // Text index backs ?search= on task listings
+  await tasksCollection.createIndex({ taskTitle: 'text', taskDetail: 'text' });
+  await tasksCollection.createIndex({ status: 1, completionDate: 1 });
+  await tasksCollection.createIndex({ userId: 1, createdAt: -1 });
+  await tasksCollection.createIndex({ userId: 1, 'submissions.status': 1 }); // Buyer review queue and history
+  await tasksCollection.createIndex({ 'submissions.workerId': 1 });
+
+  await WithdrawalsCollection.createIndex({ worker_email: 1, withdraw_date: -1 });
+  await WithdrawalsCollection.createIndex({ status: 1, withdraw_date: -1 });
+  await WithdrawalsCollection.createIndex({ withdraw_date: 1 }); // Accounting exports by date range
+  await WithdrawalsCollection.createIndex({ worker_uid: 1, withdraw_date: 1 }); // Worker statements
+
+
+  await CoinTransactionsCollection.createIndex({ uid: 1, createdAt: -1 });
+  // One payments record per Stripe PaymentIntent keeps webhook retries idempotent
+  await PaymentsCollection.createIndex(
+    { payment_intent_id: 1 },
+    { unique: true, partialFilterExpression: { payment_intent_id: { $exists: true } } }
+  );
+  await PaymentsCollection.createIndex({ buyer_uid: 1, payment_date: -1 });
+  await PaymentsCollection.createIndex({ payment_date: 1 }); // Accounting exports by date range
+
+  // A worker can only have one report on file per task
+  await TaskReportsCollection.createIndex({ taskId: 1, reporterUid: 1 }, { unique: true });
+  await TaskReportsCollection.createIndex({ status: 1, createdAt: -1 });
+  await ModerationLogCollection.createIndex({ taskId: 1, createdAt: -1 });
+  await NotificationsCollection.createIndex({ uid: 1, createdAt: -1 });
+  await NotificationsCollection.createIndex({ uid: 1, read: 1 });
+  await EmailQueueCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+  await UploadsCollection.createIndex({ url: 1 }, { unique: true });
+  await UploadsCollection.createIndex({ status: 1, createdAt: 1 });
+
+  // Idempotency keys are unique per user and removed by MongoDB once expiresAt passes
+  await IdempotencyKeysCollection.createIndex({ uid: 1, key: 1 }, { unique: true });
+  await IdempotencyKeysCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  await AuditLogCollection.createIndex({ createdAt: -1 });
+  await AuditLogCollection.createIndex({ actorUid: 1, createdAt: -1 });
+  await AuditLogCollection.createIndex({ action: 1, createdAt: -1 });
+  await AuditLogCollection.createIndex({ 'targets.id': 1, createdAt: -1 });
+}
+
+module.exports = { getCollections, ensureIndexes };
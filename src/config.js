@@ -0,0 +1,48 @@
+// Coin packages buyers can purchase (price in USD)
+const COIN_PACKAGES = [
+  { id: 'starter', coins: 10, price: 1 },
+  { id: 'standard', coins: 150, price: 10 },
+  { id: 'premium', coins: 500, price: 20 },
+  { id: 'ultimate', coins: 1000, price: 35 },
+];
+
+// Withdrawal settings: coins per US dollar and the smallest withdrawal allowed
+const COINS_PER_DOLLAR = Number(process.env.COINS_PER_DOLLAR) || 20;
+const MIN_WITHDRAWAL_COINS = Number(process.env.MIN_WITHDRAWAL_COINS) || 200;
+
+// Public leaderboard/metrics: how long responses are cached, and how recently a worker
+// must have submitted work to count as active
+const PUBLIC_CACHE_TTL_MS = Number(process.env.PUBLIC_CACHE_TTL_MS) || 60 * 1000;
+const ACTIVE_WORKER_DAYS = Number(process.env.ACTIVE_WORKER_DAYS) || 30;
+
+// Rate limits (windows in ms). `max` values can be tuned from env; RATE_LIMIT_SCALE multiplies
+// them all, e.g. for load tests.
+const MINUTE = 60 * 1000;
+const rateLimitScale = Number(process.env.RATE_LIMIT_SCALE) || 1;
+const limit = (envName, fallback) => (Number(process.env[envName]) || fallback) * rateLimitScale;
+
+const RATE_LIMITS = {
+  login: {
+    perIp: { windowMs: 15 * MINUTE, max: limit('LOGIN_RATE_LIMIT', 30) },
+    // Counts logins with a valid token, so it is set well above what a real user does
+    perAccount: { windowMs: 15 * MINUTE, max: limit('LOGIN_ACCOUNT_RATE_LIMIT', 60) },
+    // 5 failed logins from an IP lock it for 1 minute, then 2, 4, ... up to an hour
+    lockout: { windowMs: 24 * 60 * MINUTE, freeAttempts: 5, baseLockMs: MINUTE, maxLockMs: 60 * MINUTE },
+  },
+  register: {
+    perIp: { windowMs: 60 * MINUTE, max: limit('REGISTER_RATE_LIMIT', 10) },
+    perDevice: { windowMs: 24 * 60 * MINUTE, max: limit('REGISTER_DEVICE_RATE_LIMIT', 3) },
+  },
+  withdrawals: { windowMs: 60 * MINUTE, max: limit('WITHDRAWAL_RATE_LIMIT', 5) },
+  paymentIntents: { windowMs: 60 * MINUTE, max: limit('PAYMENT_INTENT_RATE_LIMIT', 20) },
+  uploads: { windowMs: 60 * MINUTE, max: limit('UPLOAD_RATE_LIMIT', 30) },
+};
+
+module.exports = {
+  COIN_PACKAGES,
+  COINS_PER_DOLLAR,
+  MIN_WITHDRAWAL_COINS,
+  PUBLIC_CACHE_TTL_MS,
+  ACTIVE_WORKER_DAYS,
+  RATE_LIMITS,
+};
@@ -0,0 +1,48 @@
+// CSV export helpers, and a backpressure-aware writer for streaming any large download
+const { once } = require('events');
+
+// Quote a value for CSV. Values a spreadsheet would run as a formula (=, +, -, @) get a leading
+// apostrophe, so an exported cell can't execute anything when opened.
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Resolves once `res` can take more data again, or the client has gone away
+async function drained(res) {
+  const stopWaiting = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: stopWaiting.signal }),
+      once(res, 'close', { signal: stopWaiting.signal }),
+    ]);
+  } finally {
+    stopWaiting.abort();
+  }
+}
+
+// Write `chunk` to `res`; when the response buffer is full, wait for the client to catch up
+// instead of reading the whole source into memory. Resolves to false once the client is gone.
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) await drained(res);
+  return !res.destroyed;
+}
+
+// Stream `rows` (any async iterable of arrays) as a CSV download with a header row
+async function sendCsv(res, fileName, header, rows) {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+  });
+  if (!(await writeChunk(res, csvRow(header)))) return;
+  for await (const row of rows) {
+    if (!(await writeChunk(res, csvRow(row)))) return;
+  }
+  res.end();
+}
+
+module.exports = { csvCell, csvRow, writeChunk, sendCsv };
@@ -0,0 +1,115 @@
+// Transactional email. Routes enqueue messages into the email_queue collection (inside their
+// transaction when they have one); the queue is drained in the background and failed sends are
+// retried with backoff, so a mail outage never fails the request that triggered the email.
+
+const { onCommit } = require('../ledger');
+const { templates } = require('./templates');
+const { createTransportFromEnv } = require('./transports');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000; // 1, 2, 4, 8 minutes between attempts
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000; // A 'sending' job older than this was abandoned by a crash
+const BATCH_SIZE = 50;
+
+function createMailer({ collections, transport, from = process.env.MAIL_FROM || 'Microtask <no-reply@microtask.app>' }) {
+  const { EmailQueueCollection } = collections;
+  let draining = null;
+
+  // Queue `template` for `to`; pass `session` to queue it only if the caller's transaction commits
+  async function enqueue(template, to, data, session) {
+    if (!templates[template]) throw new Error(`Unknown email template: ${template}`);
+    if (!to) return null;
+
+    const now = new Date();
+    const result = await EmailQueueCollection.insertOne({
+      template,
+      to,
+      data,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+    }, { session });
+
+    // Try to send straight away; the background job picks up anything that fails
+    onCommit(session, () => setImmediate(processQueue));
+    return result.insertedId;
+  }
+
+  // Claim the next due job, so two drains (or two servers) never send the same email
+  const claimNext = () => {
+    const now = new Date();
+    return EmailQueueCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } },
+        ],
+      },
+      { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+  };
+
+  async function deliver(job) {
+    try {
+      const { subject, text, html } = templates[job.template](job.data);
+      await transport.send({ from, to: job.to, subject, text, html });
+      await EmailQueueCollection.updateOne(
+        { _id: job._id },
+        { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedAt: '' } }
+      );
+      return true;
+    } catch (err) {
+      const failed = job.attempts >= MAX_ATTEMPTS;
+      await EmailQueueCollection.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: failed ? 'failed' : 'pending',
+            lastError: err.message,
+            nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1)),
+          },
+          $unset: { lockedAt: '' },
+        }
+      );
+      if (failed) console.error(`❌ Giving up on ${job.template} email to ${job.to}:`, err);
+      return false;
+    }
+  }
+
+  // Send up to BATCH_SIZE due emails; concurrent calls share the drain already running
+  function processQueue() {
+    if (!draining) {
+      draining = (async () => {
+        let sent = 0;
+        for (let i = 0; i < BATCH_SIZE; i += 1) {
+          const job = await claimNext();
+          if (!job) break;
+          if (await deliver(job)) sent += 1;
+        }
+        return sent;
+      })()
+        .catch((err) => {
+          console.error('❌ Email queue failed:', err);
+          return 0;
+        })
+        .finally(() => {
+          draining = null;
+        });
+    }
+    return draining;
+  }
+
+  return { enqueue, processQueue };
+}
+
+// Drain the email queue now and then every `intervalMs`; returns a function that stops the job
+function startEmailQueueJob({ mailer, intervalMs }) {
+  mailer.processQueue();
+  const timer = setInterval(mailer.processQueue, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = { createMailer, startEmailQueueJob, createTransportFromEnv, MAX_ATTEMPTS };
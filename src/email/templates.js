@@ -0,0 +1,44 @@
+// Transactional email templates. Each one takes the event data and returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+// Wrap the body paragraphs in a greeting and sign-off, as plain text and as HTML
+function render(subject, name, paragraphs) {
+  const greeting = `Hi ${name || 'there'},`;
+  const signOff = 'Thanks,\nThe Microtask team';
+  return {
+    subject,
+    text: [greeting, ...paragraphs, signOff].join('\n\n'),
+    html: [greeting, ...paragraphs, signOff]
+      .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('\n'),
+  };
+}
+
+const templates = {
+  welcome: ({ name, role, signupBonus }) => render('Welcome to Microtask', name, [
+    `Your ${role} account is ready.`,
+    ...(signupBonus ? [`We've added ${signupBonus} coins to your balance to get you started.`] : []),
+  ]),
+
+  submission_approved: ({ name, taskTitle, coins }) => render(`Submission approved: ${taskTitle}`, name, [
+    `Your submission for "${taskTitle}" was approved and ${coins} coins were added to your balance.`,
+  ]),
+
+  submission_rejected: ({ name, taskTitle }) => render(`Submission rejected: ${taskTitle}`, name, [
+    `Your submission for "${taskTitle}" was rejected by the buyer.`,
+  ]),
+
+  withdrawal_received: ({ name, coins, amount, paymentSystem }) => render('We received your withdrawal request', name, [
+    `Your request to withdraw ${coins} coins ($${amount}) via ${paymentSystem} is pending review.`,
+    'The coins are on hold until the request is paid or rejected.',
+  ]),
+
+  payment_completed: ({ name, coins, amount, paymentSystem }) => render('Your withdrawal has been paid', name, [
+    `We've sent $${amount} via ${paymentSystem} for your withdrawal of ${coins} coins.`,
+  ]),
+};
+
+module.exports = { templates, escapeHtml };
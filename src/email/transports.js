@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Email transports. A transport is any object with `send({ from, to, subject, text, html })`
+// that resolves once the message is accepted and rejects if it couldn't be sent.
+
+// SMTP via nodemailer, for production
+function createSmtpTransport({ url, host, port, secure, user, pass }) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(url || {
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+// Keeps sent messages in `sent`, for tests
+function createMemoryTransport() {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      sent.push({ ...message, sentAt: new Date() });
+    },
+  };
+}
+
+// Writes each message to `<dir>/<timestamp>-<to>.json`, for local development
+function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    },
+  };
+}
+
+// Pick a transport from EMAIL_TRANSPORT (smtp | file | memory); memory is only used when asked for.
+// Defaults to SMTP when SMTP_URL or SMTP_HOST is set, otherwise to the file outbox, except in
+// production, where a missing email setup is an error rather than mail silently going nowhere.
+function createTransportFromEnv(env = process.env) {
+  const smtpConfigured = Boolean(env.SMTP_URL || env.SMTP_HOST);
+  if (!env.EMAIL_TRANSPORT && !smtpConfigured && env.NODE_ENV === 'production') {
+    throw new Error('No email transport configured: set SMTP_URL or SMTP_HOST, or EMAIL_TRANSPORT');
+  }
+  const kind = env.EMAIL_TRANSPORT || (smtpConfigured ? 'smtp' : 'file');
+
+  switch (kind) {
+    case 'smtp':
+      return createSmtpTransport({
+        url: env.SMTP_URL,
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case 'file':
+      return createFileTransport({ dir: env.EMAIL_OUTBOX_DIR || path.resolve('outbox') });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${kind}`);
+  }
+}
+
+module.exports = { createSmtpTransport, createMemoryTransport, createFileTransport, createTransportFromEnv };
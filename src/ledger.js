@@ -0,0 +1,160 @@
+// Coin ledger
+// Every change to users.coins goes through applyCoinChange, which writes the
+// matching coin_transactions entry inside the caller's MongoDB transaction.
+
+// Raised for expected ledger failures; `status` is the HTTP status to send back
+class CoinLedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CoinLedgerError';
+    this.status = status;
+  }
+}
+
+// Callbacks queued with onCommit, per session, for the current transaction attempt
+const commitCallbacks = new WeakMap();
+
+// Run `fn` once the session's transaction commits (or right away outside runTransaction).
+// Use it for side effects that must not happen if the transaction is retried or aborted.
+function onCommit(session, fn) {
+  const callbacks = session && commitCallbacks.get(session);
+  if (callbacks) {
+    callbacks.push(fn);
+  } else {
+    fn();
+  }
+}
+
+function createLedger({ client, collections }) {
+  const { usersCollection, CoinTransactionsCollection } = collections;
+
+  // Run `work(session)` inside a transaction and return its result
+  async function runTransaction(work) {
+    const session = client.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        commitCallbacks.set(session, []); // Reset on every attempt; only the committed one runs
+        result = await work(session);
+      });
+
+      for (const fn of commitCallbacks.get(session)) {
+        try {
+          fn();
+        } catch (err) {
+          console.error('❌ Error in after-commit callback:', err);
+        }
+      }
+      return result;
+    } finally {
+      commitCallbacks.delete(session);
+      await session.endSession();
+    }
+  }
+
+  // Credit (amount > 0) or debit (amount < 0) a user's coins and record it in the ledger.
+  // Debits only match when the balance covers them, so coins can never go negative.
+  // Coins on hold for pending withdrawals can't be spent; `fromHold` pays out held coins instead.
+  // `note` and `actorUid` record free-text context and who made a manual change.
+  async function applyCoinChange(session, { uid, amount, reason, referenceId = null, fromHold = false, note, actorUid }) {
+    const filter = { uid };
+    const update = { $inc: { coins: amount } };
+
+    if (fromHold) {
+      filter.coins = { $gte: -amount };
+      filter.heldCoins = { $gte: -amount };
+      update.$inc.heldCoins = amount;
+    } else if (amount < 0) {
+      filter.$expr = { $gte: [{ $subtract: ['$coins', { $ifNull: ['$heldCoins', 0] }] }, -amount] };
+    }
+
+    const user = await usersCollection.findOneAndUpdate(
+      filter,
+      update,
+      { session, returnDocument: 'after' }
+    );
+
+    if (!user) {
+      const exists = await usersCollection.findOne({ uid }, { session, projection: { _id: 1 } });
+      if (!exists) throw new CoinLedgerError('User not found', 404);
+      throw new CoinLedgerError('Insufficient coins', 400);
+    }
+
+    await CoinTransactionsCollection.insertOne({
+      uid,
+      type: amount < 0 ? 'debit' : 'credit',
+      amount,
+      reason,
+      referenceId: referenceId ? referenceId.toString() : null,
+      ...(note && { note }),
+      ...(actorUid && { actorUid }),
+      balanceAfter: user.coins,
+      createdAt: new Date(),
+    }, { session });
+
+    return user.coins;
+  }
+
+  // Place (coins > 0) or release (coins < 0) a hold on a user's coins.
+  // Holds reserve coins for pending withdrawals without changing the balance, so they are not ledgered.
+  async function adjustCoinHold(session, { uid, coins }) {
+    const filter = { uid };
+    if (coins > 0) {
+      filter.$expr = { $gte: [{ $subtract: ['$coins', { $ifNull: ['$heldCoins', 0] }] }, coins] };
+    } else {
+      filter.heldCoins = { $gte: -coins };
+    }
+
+    const result = await usersCollection.updateOne(filter, { $inc: { heldCoins: coins } }, { session });
+    if (!result.matchedCount) {
+      throw new CoinLedgerError(coins > 0 ? 'Insufficient available coins' : 'No coins on hold to release', 400);
+    }
+  }
+
+  return { runTransaction, applyCoinChange, adjustCoinHold };
+}
+
+// One-off data fix for balances from before the ledger existed: a user whose stored coins differ
+// from their ledger sum gets an `opening_balance` entry for the difference. Run it once, through
+// scripts/backfillOpeningBalances.js, never at startup: after that, drift must show up in the
+// reconcile report instead of being written into the ledger. Users who already have an opening
+// balance are skipped, so running it twice by mistake changes nothing for them.
+// With `dryRun`, only counts the users it would fix.
+async function backfillOpeningBalances({ usersCollection, CoinTransactionsCollection }, { dryRun = false } = {}) {
+  const ledgerTotals = await CoinTransactionsCollection.aggregate([
+    {
+      $group: {
+        _id: '$uid',
+        ledgerBalance: { $sum: '$amount' },
+        hasOpeningBalance: { $max: { $eq: ['$reason', 'opening_balance'] } },
+      },
+    },
+  ]).toArray();
+  const ledgerByUid = new Map(ledgerTotals.map(entry => [entry._id, entry]));
+
+  const entries = [];
+  const users = usersCollection.find({ uid: { $exists: true } }, { projection: { uid: 1, coins: 1 } });
+  for await (const user of users) {
+    const ledger = ledgerByUid.get(user.uid) || { ledgerBalance: 0, hasOpeningBalance: false };
+    const storedBalance = user.coins || 0;
+    const amount = storedBalance - ledger.ledgerBalance;
+    if (!amount || ledger.hasOpeningBalance) continue;
+
+    entries.push({
+      uid: user.uid,
+      type: amount < 0 ? 'debit' : 'credit',
+      amount,
+      reason: 'opening_balance',
+      referenceId: null,
+      balanceAfter: storedBalance,
+      createdAt: new Date(),
+    });
+  }
+
+  if (entries.length && !dryRun) {
+    await CoinTransactionsCollection.insertMany(entries);
+  }
+  return entries.length;
+}
+
+module.exports = { createLedger, CoinLedgerError, onCommit, backfillOpeningBalances };
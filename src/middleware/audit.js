@@ -0,0 +1,96 @@
+const { ObjectId } = require('mongodb');
+
+// Audit log for privileged actions. `audit(action, getTargets)` wraps a route: it snapshots each
+// target before the handler runs and again after a successful (2xx) response, and appends one
+// entry to audit_log with the fields that changed. Entries are only ever inserted, never updated.
+
+// The fields recorded for each kind of target
+const SNAPSHOTS = {
+  user: ({ usersCollection }, uid) => usersCollection.findOne(
+    { uid },
+    { projection: { _id: 0, email: 1, role: 1, coins: 1, heldCoins: 1, suspended: 1, suspensionReason: 1 } }
+  ),
+  task: ({ tasksCollection }, id) => tasksCollection.findOne(
+    { _id: new ObjectId(id) },
+    { projection: { _id: 0, taskTitle: 1, status: 1, requiredWorkers: 1, payableAmount: 1, removedByAdmin: 1, removedByBuyer: 1, takedownReason: 1 } }
+  ),
+  submission: async ({ tasksCollection }, id) => {
+    const task = await tasksCollection.findOne(
+      { 'submissions._id': new ObjectId(id) },
+      { projection: { submissions: { $elemMatch: { _id: new ObjectId(id) } } } }
+    );
+    if (!task) return null;
+    const { status, workerId, reviewedAt } = task.submissions[0];
+    return { status, workerId, reviewedAt };
+  },
+  withdrawal: ({ WithdrawalsCollection }, id) => WithdrawalsCollection.findOne(
+    { _id: new ObjectId(id) },
+    { projection: { _id: 0, worker_uid: 1, status: 1, coins_held: 1, withdrawal_coin: 1, rejection_reason: 1 } }
+  ),
+  reports: async ({ TaskReportsCollection }, taskId) => {
+    const counts = await TaskReportsCollection.aggregate([
+      { $match: { taskId: new ObjectId(taskId) } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]).toArray();
+    return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+  },
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Only the fields that differ between two snapshots (a deleted target keeps its whole before state)
+function diff(before, after) {
+  if (!before || !after) return { before, after };
+
+  const changed = { before: {}, after: {} };
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!same(before[field], after[field])) {
+      changed.before[field] = before[field] ?? null;
+      changed.after[field] = after[field] ?? null;
+    }
+  }
+  return changed;
+}
+
+function createAudit({ collections }) {
+  const { AuditLogCollection } = collections;
+
+  const snapshotAll = (targets) => Promise.all(targets.map(({ type, id }) => SNAPSHOTS[type](collections, id)));
+
+  // `getTargets(req)` returns (or resolves to) [{ type, id }] with type a key of SNAPSHOTS.
+  // Put this after validate and idempotent, so params are checked and replays aren't logged.
+  return (action, getTargets) => async (req, res, next) => {
+    let targets;
+    let before;
+    try {
+      targets = (await getTargets(req)).filter(target => target.id);
+      before = await snapshotAll(targets);
+    } catch (err) {
+      // Never block the action itself because its audit snapshot failed
+      console.error('❌ Error reading audit snapshot:', action, err);
+      return next();
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+      snapshotAll(targets)
+        .then((after) => AuditLogCollection.insertOne({
+          action,
+          actorUid: req.user.uid,
+          actorRole: req.user.role,
+          targets: targets.map(({ type, id }, index) => ({ type, id: String(id), ...diff(before[index], after[index]) })),
+          ip: req.ip,
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          createdAt: new Date(),
+        }))
+        .catch(err => console.error('❌ Error writing audit log entry:', action, err));
+    });
+
+    next();
+  };
+}
+
+module.exports = { createAudit };
@@ -0,0 +1,83 @@
+// The ID token from an `Authorization: Bearer <token>` header
+const bearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' ? token : undefined;
+};
+
+// EventSource can't set headers, so streams also accept the token as ?token=
+const bearerOrQueryToken = (req) => bearerToken(req) || (typeof req.query.token === 'string' ? req.query.token : undefined);
+
+// Identity middleware: checks the ID token (read by `getToken`, the Bearer header by default) with the
+// injected verifier (firebase-admin's auth() in production) and sets req.decodedToken.
+// Used on its own by register/login, where the user may not have a profile yet.
+const createVerifyIdToken = ({ auth }, getToken = bearerToken) => async (req, res, next) => {
+  const token = getToken(req);
+
+  if (!token) {
+    return res.status(401).json({ message: 'Unauthorized: missing token' });
+  }
+
+  try {
+    req.decodedToken = await auth.verifyIdToken(token);
+  } catch (err) {
+    return res.status(401).json({ message: 'Unauthorized: invalid or expired token' });
+  }
+  next();
+};
+
+// Auth middleware: verifies the ID token and loads the matching registered user by uid
+const createVerifyToken = ({ auth, collections }, getToken) => {
+  const verifyIdToken = createVerifyIdToken({ auth }, getToken);
+  return (req, res, next) => verifyIdToken(req, res, () => loadUser(collections, req, res, next));
+};
+
+// verifyToken for Server-Sent Event streams: also takes the token from ?token=, because browsers'
+// EventSource can't send an Authorization header. Only use it on streams, since query strings end up in logs.
+const createVerifyStreamToken = (deps) => createVerifyToken(deps, bearerOrQueryToken);
+
+async function loadUser({ usersCollection }, req, res, next) {
+  const decoded = req.decodedToken;
+
+  try {
+    const user = await usersCollection.findOne({ uid: decoded.uid }, { projection: { password: 0 } });
+    if (!user) {
+      return res.status(403).json({ message: 'Forbidden: user is not registered' });
+    }
+    if (user.suspended) {
+      return res.status(403).json({ message: 'Forbidden: account suspended' });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('❌ Error loading authenticated user:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// For routes open to users who may not have a profile yet (use after verifyIdToken):
+// lets them through, but still keeps suspended accounts out
+const createRejectSuspended = ({ usersCollection }) => async (req, res, next) => {
+  try {
+    const user = await usersCollection.findOne({ uid: req.decodedToken.uid }, { projection: { suspended: 1 } });
+    if (user && user.suspended) {
+      return res.status(403).json({ message: 'Forbidden: account suspended' });
+    }
+    next();
+  } catch (err) {
+    console.error('❌ Error checking account suspension:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Role middleware: only lets the listed roles through (use after verifyToken)
+const verifyRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Forbidden: insufficient role' });
+  }
+  next();
+};
+
+const isAdmin = (req) => req.user.role === 'admin';
+
+module.exports = { createVerifyIdToken, createVerifyToken, createVerifyStreamToken, createRejectSuspended, verifyRole, isAdmin };
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support for routes that move money. A client sends a unique key per operation;
+// the first request runs and its response is stored, a retry with the same key gets the stored
+// response back (with Idempotent-Replayed: true), and the same key with a different request is
+// rejected. Keys are scoped per user and expire through a TTL index on expiresAt.
+
+const IDEMPOTENCY_TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A request still 'processing' after this long was cut off (e.g. by a restart) and may be retried
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so the hash doesn't depend on key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(canonicalJson({ method: req.method, path: req.baseUrl + req.path, body: req.body }))
+  .digest('hex');
+
+// Returns `idempotent`, middleware to put after verifyToken and validate on a route
+function createIdempotency({ collections }) {
+  const { IdempotencyKeysCollection } = collections;
+
+  return async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next(); // The header is optional
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+    }
+
+    const uid = req.user.uid;
+    const requestHash = hashRequest(req);
+    const now = new Date();
+
+    try {
+      await IdempotencyKeysCollection.insertOne({
+        uid,
+        key,
+        requestHash,
+        status: 'processing',
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS),
+      });
+    } catch (err) {
+      if (err.code !== 11000) {
+        console.error('❌ Error storing idempotency key:', err);
+        return res.status(500).json({ message: 'Server error' });
+      }
+
+      // Looking up the stored key can fail too; the client may retry with the same key
+      try {
+        const existing = await IdempotencyKeysCollection.findOne({ uid, key });
+        if (!existing) {
+          // Expired between the insert and the lookup; let the client retry
+          return res.status(409).json({ message: 'Idempotency-Key conflict, please retry' });
+        }
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+        }
+        if (existing.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Still processing: only take over a request that was abandoned
+        const takenOver = await IdempotencyKeysCollection.updateOne(
+          { _id: existing._id, status: 'processing', createdAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } },
+          { $set: { createdAt: now } }
+        );
+        if (!takenOver.modifiedCount) {
+          res.set('Retry-After', '1');
+          return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+        }
+      } catch (lookupErr) {
+        console.error('❌ Error reading idempotency key:', lookupErr);
+        return res.status(500).json({ message: 'Server error' });
+      }
+    }
+
+    // Capture the JSON response so a retry can get the same one
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      // Server errors aren't stored, so the operation can be retried with the same key
+      const save = res.statusCode >= 500
+        ? IdempotencyKeysCollection.deleteOne({ uid, key, status: 'processing' })
+        : IdempotencyKeysCollection.updateOne(
+          { uid, key },
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: responseBody ?? null, completedAt: new Date() } }
+        );
+      save.catch(err => console.error('❌ Error saving idempotent response:', err));
+    });
+
+    next();
+  };
+}
+
+module.exports = { createIdempotency };
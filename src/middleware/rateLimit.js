@@ -0,0 +1,180 @@
+// Rate limiting. Counters live in a store so several server instances can share them:
+//   increment(key, windowMs) -> { count, resetAt }  count in the window that started with the first hit
+//   get(key)                 -> { count, resetAt } or null
+//   reset(key)
+// If the store fails, requests are let through rather than taking the API down with it.
+
+const { RATE_LIMITS } = require('../config');
+
+// Counters in this process only; fine for a single instance
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('PTTL', KEYS[1]) }`;
+
+const GET_SCRIPT = `
+local count = redis.call('GET', KEYS[1])
+if not count then return nil end
+return { tonumber(count), redis.call('PTTL', KEYS[1]) }`;
+
+// Counters in Redis (or anything speaking its protocol), through an ioredis-style client
+function createRedisStore({ client, prefix = 'ratelimit:' }) {
+  const toEntry = (reply) => (reply ? { count: Number(reply[0]), resetAt: Date.now() + Math.max(Number(reply[1]), 0) } : null);
+
+  return {
+    async increment(key, windowMs) {
+      return toEntry(await client.eval(INCREMENT_SCRIPT, 1, prefix + key, windowMs));
+    },
+    async get(key) {
+      return toEntry(await client.eval(GET_SCRIPT, 1, prefix + key));
+    },
+    async reset(key) {
+      await client.del(prefix + key);
+    },
+  };
+}
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+function tooManyRequests(res, resetAt, message) {
+  const retryAfter = secondsUntil(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+}
+
+// Allow `max` requests per `windowMs` for each key from `keyGenerator(req)`; a null key is not limited
+function rateLimit({ store, name, windowMs, max, keyGenerator, message = 'Too many requests, please try again later' }) {
+  return async (req, res, next) => {
+    const id = keyGenerator(req);
+    if (!id) return next();
+
+    let entry;
+    try {
+      entry = await store.increment(`${name}:${id}`, windowMs);
+    } catch (err) {
+      console.error('❌ Rate limit store failed:', err);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - entry.count, 0)),
+      'RateLimit-Reset': String(secondsUntil(entry.resetAt)),
+    });
+    if (entry.count > max) {
+      return tooManyRequests(res, entry.resetAt, message);
+    }
+    next();
+  };
+}
+
+// Progressive lockout: once a key has `freeAttempts` failed responses (401/403) within `windowMs`,
+// each further failure locks it for baseLockMs, doubling every time, up to maxLockMs.
+// A successful response clears the failures.
+function failureLockout({ store, name, keyGenerator, windowMs, freeAttempts, baseLockMs, maxLockMs }) {
+  return async (req, res, next) => {
+    const id = keyGenerator(req);
+    if (!id) return next();
+    const failuresKey = `${name}:failures:${id}`;
+    const lockKey = `${name}:lock:${id}`;
+
+    try {
+      const lock = await store.get(lockKey);
+      if (lock) {
+        return tooManyRequests(res, lock.resetAt, 'Too many failed attempts, please try again later');
+      }
+    } catch (err) {
+      console.error('❌ Rate limit store failed:', err);
+      return next();
+    }
+
+    res.on('finish', () => {
+      const record = async () => {
+        if (res.statusCode === 401 || res.statusCode === 403) {
+          const { count } = await store.increment(failuresKey, windowMs);
+          if (count >= freeAttempts) {
+            const lockMs = Math.min(baseLockMs * 2 ** (count - freeAttempts), maxLockMs);
+            await store.increment(lockKey, lockMs);
+          }
+        } else if (res.statusCode < 400) {
+          await store.reset(failuresKey);
+        }
+      };
+      record().catch(err => console.error('❌ Rate limit store failed:', err));
+    });
+    next();
+  };
+}
+
+// Request identities to limit on
+const byIp = (req) => req.ip;
+const byDevice = (req) => req.get('X-Device-Id') || null; // Sent by the app; not every client has one
+const byAccount = (req) => (req.decodedToken && req.decodedToken.uid) || null; // Use after verifyIdToken or verifyToken
+
+// The limiters routes use, with limits from RATE_LIMITS in config.
+// Logins are limited per IP before the token is verified, with a lockout on failures there, since
+// only that stage sees bad tokens. `loginAccount` runs after verification and caps how often one
+// account can log in, so a valid token replayed from many IPs is still caught.
+function createRateLimiters({ store }) {
+  const { login, register, withdrawals, paymentIntents, uploads } = RATE_LIMITS;
+
+  return {
+    login: [
+      rateLimit({ store, name: 'login:ip', keyGenerator: byIp, ...login.perIp }),
+      failureLockout({ store, name: 'login', keyGenerator: byIp, ...login.lockout }),
+    ],
+    loginAccount: rateLimit({ store, name: 'login:account', keyGenerator: byAccount, ...login.perAccount }),
+    register: [
+      rateLimit({ store, name: 'register:ip', keyGenerator: byIp, ...register.perIp }),
+      rateLimit({ store, name: 'register:device', keyGenerator: byDevice, ...register.perDevice }),
+    ],
+    withdrawals: rateLimit({ store, name: 'withdrawals', keyGenerator: byAccount, ...withdrawals }),
+    paymentIntents: rateLimit({ store, name: 'payment-intents', keyGenerator: byAccount, ...paymentIntents }),
+    uploads: rateLimit({ store, name: 'uploads', keyGenerator: byAccount, ...uploads }),
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  rateLimit,
+  failureLockout,
+  createRateLimiters,
+};
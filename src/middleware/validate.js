@@ -0,0 +1,30 @@
+// Validation middleware: replaces req.params/query/body with the validated values,
+// or answers 400 with one message per invalid field
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue;
+
+    const { value, error } = schema[location].validate(req[location] || {}, {
+      abortEarly: false,
+      convert: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      error.details.forEach(detail => {
+        errors.push({ location, field: detail.path.join('.'), message: detail.message });
+      });
+    } else {
+      req[location] = value;
+    }
+  }
+
+  if (errors.length) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,38 @@
+const { EventEmitter } = require('events');
+const { onCommit } = require('./ledger');
+
+// In-app notifications, stored per recipient uid in the notifications collection.
+// Every saved notification is also emitted as a 'notification' event for live streams;
+// the emitter is per process, so each server instance streams the notifications it wrote.
+function createNotifier({ collections }) {
+  const { NotificationsCollection } = collections;
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // One listener per open stream
+
+  // Notify one or more users; pass `session` to write inside the caller's transaction,
+  // in which case the live event goes out only after the transaction commits
+  async function notify(uids, { type, message, data = {} }, session) {
+    const recipients = [...new Set([].concat(uids).filter(Boolean))];
+    if (!recipients.length) return [];
+
+    const createdAt = new Date();
+    const docs = recipients.map(uid => ({ uid, type, message, data, read: false, createdAt }));
+    await NotificationsCollection.insertMany(docs, { session });
+
+    onCommit(session, () => docs.forEach(doc => events.emit('notification', doc)));
+    return docs;
+  }
+
+  // Call `listener(notification)` for each new notification addressed to `uid`; returns an unsubscribe function
+  function subscribe(uid, listener) {
+    const handler = (notification) => {
+      if (notification.uid === uid) listener(notification);
+    };
+    events.on('notification', handler);
+    return () => events.off('notification', handler);
+  }
+
+  return { notify, subscribe };
+}
+
+module.exports = { createNotifier };
@@ -0,0 +1,54 @@
+// Page-based pagination, sorting and filter helpers for listing endpoints
+
+// Pagination block returned alongside every list
+const pageInfo = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
+
+// Find one page of `filter`, sorted by `sortBy`/`order`, plus the total match count.
+// `sort` overrides sortBy/order, e.g. to sort by text-search relevance.
+async function paginate(collection, filter, { page, limit, sortBy, order, sort, projection }) {
+  const sortSpec = sort || { [sortBy]: order === 'asc' ? 1 : -1 };
+
+  const [items, total] = await Promise.all([
+    collection
+      .find(filter, { projection })
+      .sort({ ...sortSpec, _id: 1 }) // _id keeps page boundaries stable between requests
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  return { items, pagination: pageInfo(page, limit, total) };
+}
+
+// { $gte, $lte } for whichever bounds are set, or undefined when neither is
+function rangeFilter(min, max) {
+  if (min === undefined && max === undefined) return undefined;
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return range;
+}
+
+// Copy only the keys whose value is defined, so unset query filters don't end up in a Mongo filter
+function compactFilter(filter) {
+  return Object.fromEntries(Object.entries(filter).filter(([, value]) => value !== undefined));
+}
+
+// Mongo filter for withdrawal listing queries (?status, ?payment_system, ?from/?to, ?minAmount/?maxAmount)
+const withdrawalListFilter = ({ status, payment_system, from, to, minAmount, maxAmount }) => compactFilter({
+  status,
+  payment_system,
+  withdraw_date: rangeFilter(from, to),
+  withdrawal_amount: rangeFilter(minAmount, maxAmount),
+});
+
+// Escape user input before putting it in a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { paginate, pageInfo, rangeFilter, compactFilter, withdrawalListFilter, escapeRegex };
@@ -0,0 +1,429 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const validate = require('../middleware/validate');
+const { verifyRole } = require('../middleware/auth');
+const { CoinLedgerError } = require('../ledger');
+const { schemas } = require('../schemas');
+const { paginate, rangeFilter, compactFilter, escapeRegex, withdrawalListFilter } = require('../pagination');
+const { projectionFor, serializeAll } = require('../serializers');
+const { sumAsNumber, payoutFilter } = require('../aggregations');
+
+// Mongo filter for the user listing query (?role, ?search on name/email, ?from/?to on signup date)
+const userListFilter = ({ role, search, from, to }) => compactFilter({
+  role,
+  createdAt: rangeFilter(from, to),
+  $or: search
+    ? [{ name: { $regex: escapeRegex(search), $options: 'i' } }, { email: { $regex: escapeRegex(search), $options: 'i' } }]
+    : undefined,
+});
+
+// Group documents in [from, to) into day/week buckets on `dateField`
+const bucketByPeriod = (dateField, interval, from, to, extraGroupFields = {}) => [
+  { $match: { [dateField]: { $gte: from, $lt: to } } },
+  {
+    $group: {
+      _id: { $dateTrunc: { date: `$${dateField}`, unit: interval, startOfWeek: 'monday' } },
+      count: { $sum: 1 },
+      ...extraGroupFields,
+    },
+  },
+  { $sort: { _id: 1 } },
+  { $project: { _id: 0, period: '$_id', count: 1, ...Object.fromEntries(Object.keys(extraGroupFields).map(key => [key, 1])) } },
+];
+
+module.exports = function createAdminRoutes({ collections, ledger, notifier, mailer, idempotent, audit, verifyToken }) {
+  const { usersCollection, tasksCollection, WithdrawalsCollection, PaymentsCollection, CoinTransactionsCollection } = collections;
+  const { runTransaction, applyCoinChange, adjustCoinHold } = ledger;
+  const router = express.Router();
+
+  // Audit targets for a withdrawal action: the withdrawal and the worker's balance
+  const withdrawalTargets = async (req) => {
+    const id = req.body.withdrawalId || req.params.withdrawalId;
+    const withdrawal = await WithdrawalsCollection.findOne({ _id: new ObjectId(id) }, { projection: { worker_uid: 1 } });
+    return [{ type: 'withdrawal', id }, { type: 'user', id: withdrawal && withdrawal.worker_uid }];
+  };
+
+  // Admin route to fetch all users
+  router.get('/api/admin/users', validate(schemas.listUsers), async (req, res) => {
+    try {
+      // Fetch one page of users matching the filters
+      const { items: users, pagination } = await paginate(usersCollection, userListFilter(req.query), {
+        ...req.query,
+        projection: projectionFor('user', 'admin'),
+      });
+
+      res.status(200).json({ users: serializeAll('user', 'admin', users), pagination });
+    } catch (err) {
+      console.error('❌ Error fetching users:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // General route to fetch all users (optional, if needed)
+  router.get('/api/users', verifyToken, verifyRole('admin'), validate(schemas.listUsers), async (req, res) => {
+    try {
+      // Fetch one page of users matching the filters
+      const { items: users, pagination } = await paginate(usersCollection, userListFilter(req.query), {
+        ...req.query,
+        projection: projectionFor('user', 'admin'),
+      });
+
+      res.status(200).json({ users: serializeAll('user', 'admin', users), pagination });
+    } catch (err) {
+      console.error('❌ Error fetching users:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Admin-only coin deduction route (task creation now charges buyers itself)
+  router.patch('/api/users/deduct-coins', verifyToken, verifyRole('admin'), validate(schemas.deductCoins), idempotent,
+    audit('user.coins_deducted', req => [{ type: 'user', id: req.body.userId }]), async (req, res) => {
+    const { userId, totalCost } = req.body;
+
+    try {
+      // Balance check and deduction happen in one conditional update
+      const coins = await runTransaction((session) =>
+        applyCoinChange(session, { uid: userId, amount: -totalCost, reason: 'admin_deduction' })
+      );
+
+      res.status(200).json({ message: 'Coins deducted successfully', coins });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('Error deducting coins:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Admin route for platform-wide statistics
+  router.get('/api/admin/stats', async (req, res) => {
+    try {
+      const [userTotals, taskCount, payoutTotals, purchaseTotals, pendingWithdrawals] = await Promise.all([
+        usersCollection.aggregate([
+          { $group: { _id: '$role', count: { $sum: 1 }, coins: sumAsNumber('$coins') } },
+        ]).toArray(),
+        tasksCollection.countDocuments(),
+        PaymentsCollection.aggregate([
+          { $match: payoutFilter },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              amount: sumAsNumber('$withdrawal_amount'),
+              coins: sumAsNumber('$withdrawal_coin'),
+            },
+          },
+        ]).toArray(),
+        PaymentsCollection.aggregate([
+          { $match: { type: 'coin_purchase', status: 'succeeded' } },
+          { $group: { _id: null, count: { $sum: 1 }, amount: sumAsNumber('$amount'), coins: sumAsNumber('$coins') } },
+        ]).toArray(),
+        WithdrawalsCollection.aggregate([
+          { $match: { status: 'pending' } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              amount: sumAsNumber('$withdrawal_amount'),
+              coins: sumAsNumber('$withdrawal_coin'),
+            },
+          },
+        ]).toArray(),
+      ]);
+
+      const usersByRole = {};
+      let totalCoins = 0;
+      for (const group of userTotals) {
+        usersByRole[group._id || 'unknown'] = group.count;
+        totalCoins += group.coins;
+      }
+
+      const payouts = payoutTotals[0] || { count: 0, amount: 0, coins: 0 };
+      const purchases = purchaseTotals[0] || { count: 0, amount: 0, coins: 0 };
+      const pending = pendingWithdrawals[0] || { count: 0, amount: 0, coins: 0 };
+
+      const stats = {
+        totalWorkers: usersByRole.worker || 0,
+        totalBuyers: usersByRole.buyer || 0,
+        totalCoins, // Coins currently held across all user balances
+        totalPayments: payouts.amount, // Dollars paid out to workers
+        usersByRole,
+        totalTasks: taskCount,
+        payouts: { count: payouts.count, amount: payouts.amount, coins: payouts.coins },
+        coinPurchases: { count: purchases.count, amount: purchases.amount, coins: purchases.coins },
+        pendingWithdrawals: { count: pending.count, amount: pending.amount, coins: pending.coins },
+      };
+      res.status(200).json(stats); // Send stats as JSON response
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Admin route for time-series stats: ?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week
+  router.get('/api/admin/stats/timeseries', validate(schemas.statsTimeseries), async (req, res) => {
+    const { interval } = req.query;
+
+    // Default to the last 30 days; `to` is inclusive of the whole day
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (from > to) {
+      return res.status(400).json({ message: 'Validation failed', errors: [{ location: 'query', field: 'from', message: '"from" must be before "to"' }] });
+    }
+    const toExclusive = new Date(to.getTime());
+    if (req.query.to) toExclusive.setUTCDate(toExclusive.getUTCDate() + 1);
+
+    try {
+      const [signups, tasksCreated, approvals, payouts] = await Promise.all([
+        usersCollection.aggregate(bucketByPeriod('createdAt', interval, from, toExclusive)).toArray(),
+        tasksCollection.aggregate(bucketByPeriod('createdAt', interval, from, toExclusive)).toArray(),
+        tasksCollection.aggregate([
+          { $match: { 'submissions.status': 'approved' } },
+          { $unwind: '$submissions' },
+          { $match: { 'submissions.status': 'approved' } },
+          { $replaceWith: { reviewedAt: '$submissions.reviewedAt', payableAmount: '$payableAmount' } },
+          ...bucketByPeriod('reviewedAt', interval, from, toExclusive, { coins: sumAsNumber('$payableAmount') }),
+        ]).toArray(),
+        PaymentsCollection.aggregate([
+          { $match: payoutFilter },
+          ...bucketByPeriod('payment_date', interval, from, toExclusive, {
+            amount: sumAsNumber('$withdrawal_amount'),
+            coins: sumAsNumber('$withdrawal_coin'),
+          }),
+        ]).toArray(),
+      ]);
+
+      res.status(200).json({
+        from,
+        to,
+        interval,
+        series: { signups, tasksCreated, approvals, payouts },
+      });
+    } catch (err) {
+      console.error('❌ Error fetching time-series stats:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // api for fetching all task condition
+  router.get('/api/admin/tasks', validate(schemas.listTasks), async (req, res) => {
+    const { status, buyerId, search, from, to, minPayable, maxPayable, sortBy } = req.query;
+
+    const filter = compactFilter({
+      status,
+      userId: buyerId,
+      createdAt: rangeFilter(from, to),
+      payableAmount: rangeFilter(minPayable, maxPayable),
+      $text: search ? { $search: search } : undefined,
+    });
+    const byRelevance = search && sortBy === 'relevance';
+
+    try {
+      const { items: tasks, pagination } = await paginate(tasksCollection, filter, {
+        ...req.query,
+        sortBy: sortBy === 'relevance' ? 'createdAt' : sortBy,
+        sort: byRelevance ? { score: { $meta: 'textScore' } } : undefined,
+        projection: byRelevance ? { score: { $meta: 'textScore' } } : undefined,
+      });
+
+      res.status(200).json({ tasks, pagination });
+    } catch (err) {
+      console.error('❌ Error fetching tasks:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Admin route to fetch all withdrawal requests
+  router.get('/api/admin/withdraw-requests', validate(schemas.listWithdrawals), async (req, res) => {
+    try {
+      const { items: withdrawals, pagination } = await paginate(WithdrawalsCollection, withdrawalListFilter(req.query), req.query);
+      res.status(200).json({ withdrawals: serializeAll('withdrawal', 'admin', withdrawals), pagination });
+    } catch (err) {
+      console.error('Error fetching withdrawal requests:', err);
+      res.status(500).json({ message: 'Error fetching withdrawal requests' });
+    }
+  });
+
+  // Admin route to process payment and update status
+  router.post('/api/admin/payment-success', validate(schemas.paymentSuccess), idempotent,
+    audit('withdrawal.paid', withdrawalTargets), async (req, res) => {
+      const { withdrawalId, paymentInfo } = req.body;
+
+      try {
+          await runTransaction(async (session) => {
+              // Fetch the withdrawal request to get worker's email and other details
+              const withdrawal = await WithdrawalsCollection.findOne(
+                  { _id: new ObjectId(withdrawalId), status: 'pending' },
+                  { session }
+              );
+              if (!withdrawal) {
+                  throw new CoinLedgerError('Withdrawal request not found or already processed', 404);
+              }
+
+              // Requests kept from a deleted account had their coins removed with the account
+              if (!withdrawal.worker_deleted) {
+                  // Deduct the coins from the worker's account first; this fails on an insufficient balance.
+                  // Older requests only stored the worker's email.
+                  const user = withdrawal.worker_uid
+                      ? { uid: withdrawal.worker_uid }
+                      : await usersCollection.findOne({ email: withdrawal.worker_email }, { session });
+                  if (!user) {
+                      throw new CoinLedgerError('User not found', 404);
+                  }
+
+                  await applyCoinChange(session, {
+                      uid: user.uid,
+                      amount: -withdrawal.withdrawal_coin,
+                      reason: 'withdrawal_payout',
+                      referenceId: withdrawal._id,
+                      fromHold: Boolean(withdrawal.coins_held),
+                  });
+
+                  await notifier.notify(user.uid, {
+                      type: 'withdrawal_paid',
+                      message: `Your withdrawal of ${withdrawal.withdrawal_coin} coins ($${withdrawal.withdrawal_amount}) has been paid`,
+                      data: { withdrawalId: withdrawal._id },
+                  }, session);
+              }
+
+              // Save the approved payment data in the payments collection
+              const paymentData = {
+                  type: 'withdrawal_payout',
+                  worker_email: withdrawal.worker_email,
+                  worker_name: withdrawal.worker_name,
+                  withdrawal_coin: withdrawal.withdrawal_coin,
+                  withdrawal_amount: withdrawal.withdrawal_amount,
+                  payment_system: withdrawal.payment_system,
+                  account_number: withdrawal.account_number,
+                  withdraw_date: withdrawal.withdraw_date,
+                  status: 'approved',
+                  payment_info: paymentInfo,  // Add payment info (transaction ID, payment method, etc.)
+                  payment_date: new Date(),   // Add payment date
+              };
+
+              await PaymentsCollection.insertOne(paymentData, { session });
+
+              // Queued, not sent here, so a mail failure can't undo the payout
+              await mailer.enqueue('payment_completed', withdrawal.worker_email, {
+                  name: withdrawal.worker_name,
+                  coins: withdrawal.withdrawal_coin,
+                  amount: withdrawal.withdrawal_amount,
+                  paymentSystem: withdrawal.payment_system,
+              }, session);
+
+              // Update the withdrawal request status to 'payment done'
+              await WithdrawalsCollection.updateOne(
+                  { _id: withdrawal._id },
+                  { $set: { status: 'payment done' } },
+                  { session }
+              );
+          });
+
+          res.status(200).json({ message: 'Payment approved and recorded successfully' });
+      } catch (error) {
+          if (error instanceof CoinLedgerError) {
+              return res.status(error.status).json({ message: error.message });
+          }
+          console.error('Error processing payment approval:', error);
+          res.status(500).json({ message: 'Error processing payment approval' });
+      }
+  });
+
+  // Admin route to reject a pending withdrawal and release the worker's held coins
+  router.patch('/api/admin/withdrawals/:withdrawalId/reject', validate(schemas.rejectWithdrawal), idempotent,
+    audit('withdrawal.rejected', withdrawalTargets), async (req, res) => {
+    const { withdrawalId } = req.params;
+    const { reason } = req.body;
+
+    try {
+      await runTransaction(async (session) => {
+        const withdrawal = await WithdrawalsCollection.findOneAndUpdate(
+          { _id: new ObjectId(withdrawalId), status: 'pending' },
+          {
+            $set: {
+              status: 'rejected',
+              rejection_reason: reason,
+              rejected_by: req.user.uid,
+              rejected_at: new Date(),
+            },
+          },
+          { session }
+        );
+
+        if (!withdrawal) {
+          throw new CoinLedgerError('Withdrawal request not found or already processed', 404);
+        }
+
+        if (withdrawal.coins_held) {
+          await adjustCoinHold(session, { uid: withdrawal.worker_uid, coins: -withdrawal.withdrawal_coin });
+        }
+
+        await notifier.notify(withdrawal.worker_uid, {
+          type: 'withdrawal_rejected',
+          message: `Your withdrawal of ${withdrawal.withdrawal_coin} coins was rejected: ${reason}`,
+          data: { withdrawalId: withdrawal._id },
+        }, session);
+      });
+
+      res.status(200).json({ message: 'Withdrawal request rejected' });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error rejecting withdrawal:', err);
+      res.status(500).json({ message: 'Error rejecting withdrawal' });
+    }
+  });
+
+  // Admin route to recompute every balance from the coin ledger and report drift
+  router.get('/api/admin/coins/reconcile', async (req, res) => {
+    try {
+      const ledgerTotals = await CoinTransactionsCollection.aggregate([
+        { $group: { _id: '$uid', ledgerBalance: { $sum: '$amount' }, entries: { $sum: 1 } } },
+      ]).toArray();
+      const ledgerByUid = new Map(ledgerTotals.map(entry => [entry._id, entry]));
+
+      const users = await usersCollection
+        .find({}, { projection: { uid: 1, email: 1, name: 1, coins: 1 } })
+        .toArray();
+
+      const drift = [];
+      for (const user of users) {
+        const ledger = ledgerByUid.get(user.uid);
+        const ledgerBalance = ledger ? ledger.ledgerBalance : 0;
+        const storedBalance = user.coins || 0;
+        if (ledgerBalance !== storedBalance) {
+          drift.push({
+            uid: user.uid,
+            email: user.email,
+            name: user.name,
+            storedBalance,
+            ledgerBalance,
+            difference: storedBalance - ledgerBalance,
+          });
+        }
+        ledgerByUid.delete(user.uid);
+      }
+
+      // Ledger entries whose user no longer exists
+      const orphanedLedgers = [...ledgerByUid.values()].map(entry => ({
+        uid: entry._id,
+        ledgerBalance: entry.ledgerBalance,
+        entries: entry.entries,
+      }));
+
+      res.status(200).json({
+        usersChecked: users.length,
+        driftCount: drift.length,
+        drift,
+        orphanedLedgers,
+      });
+    } catch (err) {
+      console.error('❌ Error reconciling coin ledger:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,195 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { CoinLedgerError } = require('../ledger');
+const { schemas } = require('../schemas');
+const { ACTIVE_TASK_STATUSES, TASK_STATUS, cancelTask, releaseSubmissionSlot } = require('../taskLifecycle');
+
+// Admin user management; every /api/admin route is already behind verifyToken + verifyRole('admin')
+module.exports = function createAdminUserRoutes({ collections, ledger, uploads, idempotent, audit, auth }) {
+  const { usersCollection, tasksCollection, WithdrawalsCollection } = collections;
+  const { runTransaction, applyCoinChange, adjustCoinHold } = ledger;
+  const router = express.Router();
+
+  const userTarget = (req) => [{ type: 'user', id: req.params.uid }];
+
+  // Admins can't change, suspend or delete their own account, so they can't lock themselves out
+  const rejectSelf = (req, res) => {
+    if (req.params.uid === req.user.uid) {
+      res.status(400).json({ message: 'Admins cannot perform this action on their own account' });
+      return true;
+    }
+    return false;
+  };
+
+  // Admin route to change a user's role
+  router.patch('/api/admin/users/:uid/role', validate(schemas.changeUserRole),
+    audit('user.role_changed', userTarget), async (req, res) => {
+    if (rejectSelf(req, res)) return;
+
+    try {
+      const result = await usersCollection.updateOne(
+        { uid: req.params.uid },
+        { $set: { role: req.body.role, roleChangedAt: new Date(), roleChangedBy: req.user.uid } }
+      );
+
+      if (!result.matchedCount) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      res.status(200).json({ message: 'User role updated', role: req.body.role });
+    } catch (err) {
+      console.error('❌ Error changing user role:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Admin route to credit (amount > 0) or debit (amount < 0) a user's coins, with a required reason
+  router.patch('/api/admin/users/:uid/coins', validate(schemas.adjustUserCoins), idempotent,
+    audit('user.coins_adjusted', userTarget), async (req, res) => {
+    const { amount, reason } = req.body;
+
+    try {
+      const coins = await runTransaction((session) =>
+        applyCoinChange(session, {
+          uid: req.params.uid,
+          amount,
+          reason: 'admin_adjustment',
+          note: reason,
+          actorUid: req.user.uid,
+        })
+      );
+
+      res.status(200).json({ message: 'User coins adjusted', coins });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error adjusting user coins:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Admin route to suspend or unsuspend an account; suspended users are rejected by verifyToken
+  router.patch('/api/admin/users/:uid/suspension', validate(schemas.setUserSuspension),
+    audit('user.suspension_changed', userTarget), async (req, res) => {
+    if (rejectSelf(req, res)) return;
+
+    const { suspended, reason } = req.body;
+    const update = suspended
+      ? { $set: { suspended: true, suspensionReason: reason, suspendedAt: new Date(), suspendedBy: req.user.uid } }
+      : { $set: { suspended: false }, $unset: { suspensionReason: '', suspendedAt: '', suspendedBy: '' } };
+
+    try {
+      const result = await usersCollection.updateOne({ uid: req.params.uid }, update);
+
+      if (!result.matchedCount) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      res.status(200).json({ message: suspended ? 'User suspended' : 'User unsuspended', suspended });
+    } catch (err) {
+      console.error('❌ Error updating user suspension:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Admin route to delete a user. Cascades in one transaction:
+  //   - the buyer's open/in-progress/expired tasks are cancelled and refunded
+  //   - the worker's pending submissions are withdrawn and their slots released
+  //   - pending withdrawals are voided, or preserved for payout with ?withdrawals=preserve
+  //   - any remaining balance is written off in the ledger before the profile is removed
+  router.delete('/api/admin/users/:uid', validate(schemas.deleteUser), audit('user.deleted', userTarget), async (req, res) => {
+    if (rejectSelf(req, res)) return;
+
+    const { uid } = req.params;
+    const preserveWithdrawals = req.query.withdrawals === 'preserve';
+    const deps = { collections, ledger };
+
+    try {
+      const { profilePictureUrl, ...summary } = await runTransaction(async (session) => {
+        const user = await usersCollection.findOne({ uid }, { session });
+        if (!user) throw new CoinLedgerError('User not found', 404);
+
+        const result = { cancelledTasks: 0, refundedCoins: 0, withdrawnSubmissions: 0, voidedWithdrawals: 0, preservedWithdrawals: 0 };
+
+        // Buyer side: cancel every task that still has coins reserved
+        const buyerTasks = await tasksCollection
+          .find({ userId: uid, status: { $in: [...ACTIVE_TASK_STATUSES, TASK_STATUS.EXPIRED] } }, { session })
+          .project({ _id: 1 })
+          .toArray();
+        for (const { _id } of buyerTasks) {
+          const cancelled = await cancelTask(session, deps, _id, { reason: 'buyer_account_deleted' });
+          if (cancelled) {
+            result.cancelledTasks += 1;
+            result.refundedCoins += cancelled.refund;
+          }
+        }
+
+        // Worker side: withdraw pending submissions so buyers get the slots back
+        const workerTasks = await tasksCollection
+          .find({ submissions: { $elemMatch: { workerId: uid, status: 'pending' } } }, { session })
+          .toArray();
+        for (const task of workerTasks) {
+          const submission = task.submissions.find(s => s.workerId === uid && s.status === 'pending');
+          const updated = await tasksCollection.findOneAndUpdate(
+            { _id: task._id, submissions: { $elemMatch: { _id: submission._id, status: 'pending' } } },
+            { $set: { 'submissions.$.status': 'withdrawn', 'submissions.$.reviewedAt': new Date() } },
+            { session }
+          );
+          if (updated) {
+            await releaseSubmissionSlot(session, deps, updated, submission._id);
+            result.withdrawnSubmissions += 1;
+          }
+        }
+
+        // Pending withdrawals: release any coin holds, then void or keep the requests
+        const pendingFilter = { status: 'pending', $or: [{ worker_uid: uid }, { worker_email: user.email }] };
+        const pendingWithdrawals = await WithdrawalsCollection.find(pendingFilter, { session }).toArray();
+        const heldCoins = pendingWithdrawals
+          .filter(withdrawal => withdrawal.coins_held)
+          .reduce((sum, withdrawal) => sum + withdrawal.withdrawal_coin, 0);
+        if (heldCoins > 0) {
+          await adjustCoinHold(session, { uid, coins: -heldCoins });
+        }
+
+        if (pendingWithdrawals.length) {
+          const update = preserveWithdrawals
+            ? { $set: { coins_held: false, worker_deleted: true } }
+            : { $set: { status: 'voided', voided_at: new Date(), voided_reason: 'account_deleted' } };
+          await WithdrawalsCollection.updateMany(pendingFilter, update, { session });
+          result[preserveWithdrawals ? 'preservedWithdrawals' : 'voidedWithdrawals'] = pendingWithdrawals.length;
+        }
+
+        // Write off the remaining balance so the ledger still reconciles after the profile is gone
+        const { coins } = await usersCollection.findOne({ uid }, { session, projection: { coins: 1 } });
+        if (coins > 0) {
+          await applyCoinChange(session, { uid, amount: -coins, reason: 'account_deleted', actorUid: req.user.uid });
+        }
+
+        await usersCollection.deleteOne({ uid }, { session });
+        return { ...result, profilePictureUrl: user.profilePictureUrl };
+      });
+
+      await uploads.release(profilePictureUrl);
+
+      // The Firebase account goes last; a failure here leaves nothing inconsistent in Mongo
+      try {
+        await auth.deleteUser(uid);
+      } catch (err) {
+        if (err.code !== 'auth/user-not-found') {
+          console.error('❌ Error deleting Firebase account:', err);
+        }
+      }
+
+      res.status(200).json({ message: 'User deleted', ...summary });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error deleting user:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
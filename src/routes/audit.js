@@ -0,0 +1,61 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { schemas } = require('../schemas');
+const { paginate, rangeFilter, compactFilter } = require('../pagination');
+const { sendCsv } = require('../csv');
+
+// Largest CSV export in one request; narrow the filters for more
+const MAX_EXPORT_ROWS = 50000;
+
+// Mongo filter for the audit log query (?actorUid, ?action, ?targetType/?targetId, ?from/?to)
+const auditLogFilter = ({ actorUid, action, targetType, targetId, from, to }) => compactFilter({
+  actorUid,
+  action,
+  targets: targetType || targetId ? { $elemMatch: compactFilter({ type: targetType, id: targetId }) } : undefined,
+  createdAt: rangeFilter(from, to),
+});
+
+// /api/admin routes are already behind verifyToken + verifyRole('admin')
+module.exports = function createAuditRoutes({ collections }) {
+  const { AuditLogCollection } = collections;
+  const router = express.Router();
+
+  // Query the audit log, newest first; ?format=csv downloads every match (one row per target)
+  router.get('/api/admin/audit-log', validate(schemas.listAuditLog), async (req, res) => {
+    const filter = auditLogFilter(req.query);
+
+    try {
+      if (req.query.format === 'csv') {
+        const cursor = AuditLogCollection.find(filter).sort({ createdAt: -1, _id: 1 }).limit(MAX_EXPORT_ROWS);
+        const rows = (async function* () {
+          for await (const entry of cursor) {
+            for (const target of entry.targets) {
+              yield [
+                entry.createdAt, entry.actorUid, entry.actorRole, entry.action,
+                target.type, target.id, target.before, target.after,
+                entry.ip, entry.method, entry.path,
+              ];
+            }
+          }
+        })();
+
+        const header = ['createdAt', 'actorUid', 'actorRole', 'action', 'targetType', 'targetId', 'before', 'after', 'ip', 'method', 'path'];
+        return await sendCsv(res, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`, header, rows);
+      }
+
+      const { items: entries, pagination } = await paginate(AuditLogCollection, filter, {
+        ...req.query,
+        sortBy: 'createdAt',
+        order: 'desc',
+      });
+      res.status(200).json({ entries, pagination });
+    } catch (err) {
+      console.error('❌ Error fetching audit log:', err);
+      // A CSV download that fails midway is aborted so the client doesn't keep a truncated file
+      if (res.headersSent) return res.destroy(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,177 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { createVerifyIdToken, createRejectSuspended, isAdmin } = require('../middleware/auth');
+const { schemas } = require('../schemas');
+const { serialize } = require('../serializers');
+const { UploadError } = require('../uploads');
+
+// Coins credited when a profile is created, by role
+const SIGNUP_BONUS = { worker: 10, buyer: 50 };
+
+module.exports = function createAuthRoutes({ collections, ledger, mailer, uploads, limiters, verifyToken, auth }) {
+  const { usersCollection } = collections;
+  const { runTransaction, applyCoinChange } = ledger;
+  const verifyIdToken = createVerifyIdToken({ auth });
+  const rejectSuspended = createRejectSuspended(collections);
+  const router = express.Router();
+
+  // Create the Mongo profile for a verified Firebase identity, crediting the signup bonus.
+  // Returns { user, created }; an existing profile for the uid is returned unchanged.
+  async function upsertProfile(decoded, { name, role, profilePictureUrl }) {
+    const { uid, email } = decoded;
+
+    const signupBonus = SIGNUP_BONUS[role] || 0;
+    const newUser = {
+      uid,
+      email,
+      name: name || decoded.name || email,
+      role,
+      profilePictureUrl: profilePictureUrl || decoded.picture || null,
+      coins: 0, // Signup bonus is credited through the ledger below
+      createdAt: new Date(),
+    };
+
+    return runTransaction(async (session) => {
+      const result = await usersCollection.updateOne({ uid }, { $setOnInsert: newUser }, { upsert: true, session });
+      if (!result.upsertedId) {
+        return { user: await usersCollection.findOne({ uid }, { session }), created: false };
+      }
+
+      if (signupBonus > 0) {
+        await applyCoinChange(session, { uid, amount: signupBonus, reason: 'signup_bonus', referenceId: result.upsertedId });
+      }
+      await uploads.attach(profilePictureUrl, uid, session);
+      await mailer.enqueue('welcome', email, { name: newUser.name, role, signupBonus }, session);
+
+      return { user: { _id: result.upsertedId, ...newUser, coins: signupBonus }, created: true };
+    });
+  }
+
+  // An email can belong to only one Firebase account
+  const emailTakenByAnotherUid = async ({ uid, email }) =>
+    Boolean(await usersCollection.findOne({ email, uid: { $ne: uid } }, { projection: { _id: 1 } }));
+
+  // A first login creates the profile and pays the signup bonus, so it counts against the same
+  // per-IP and per-device limits as /api/register. Logins to an existing profile skip them.
+  const registerLimits = express.Router().use(limiters.register);
+  const limitProfileCreation = async (req, res, next) => {
+    try {
+      const user = await usersCollection.findOne({ uid: req.decodedToken.uid }, { projection: { _id: 1 } });
+      if (user) return next();
+    } catch (err) {
+      console.error('❌ Error checking for an existing profile:', err);
+      return res.status(500).json({ message: 'Server error' });
+    }
+    registerLimits(req, res, next);
+  };
+
+  // User registration: send the Firebase ID token as a Bearer token, plus name and role
+  // A suspended account registering again gets 403, as from /api/login, not its profile
+  router.post('/api/register', limiters.register, verifyIdToken, rejectSuspended, validate(schemas.register), async (req, res) => {
+    const decoded = req.decodedToken;
+    if (!decoded.email) {
+      return res.status(400).json({ message: 'Your sign-in account has no email address' });
+    }
+
+    try {
+      if (await emailTakenByAnotherUid(decoded)) {
+        return res.status(409).json({ message: 'User already exists' });
+      }
+
+      const { user, created } = await upsertProfile(decoded, req.body);
+      if (!created) {
+        return res.status(200).json({ message: 'User already registered', userId: user._id, user: serialize('user', 'owner', user) });
+      }
+
+      res.status(201).json({ message: 'User registered successfully', userId: user._id, user: serialize('user', 'owner', user) });
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error creating user:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // User Login Route: send the Firebase ID token as a Bearer token.
+  // The first login of a Google sign-in user creates their profile (role from the body, worker by default).
+  router.post('/api/login', limiters.login, verifyIdToken, limiters.loginAccount, limitProfileCreation, validate(schemas.login), async (req, res) => {
+    const decoded = req.decodedToken;
+
+    try {
+      let user = await usersCollection.findOneAndUpdate(
+        { uid: decoded.uid },
+        { $set: { lastLoginAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      if (!user) {
+        if (!decoded.email) {
+          return res.status(400).json({ message: 'Your sign-in account has no email address' });
+        }
+        if (await emailTakenByAnotherUid(decoded)) {
+          return res.status(409).json({ message: 'This email is registered to another account' });
+        }
+
+        ({ user } = await upsertProfile(decoded, req.body));
+        return res.status(201).json({ message: 'Login successful', created: true, user: serialize('user', 'owner', user) });
+      }
+
+      if (user.suspended) return res.status(403).json({ message: 'Account suspended' });
+
+      res.status(200).json({ message: 'Login successful', created: false, user: serialize('user', 'owner', user) });
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Login error:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Change the logged-in user's profile picture; the old upload, if it was one of ours, is removed
+  router.patch('/api/users/me/profile-picture', verifyToken, validate(schemas.updateProfilePicture), async (req, res) => {
+    const { profilePictureUrl } = req.body;
+    const previousUrl = req.user.profilePictureUrl;
+
+    try {
+      if (profilePictureUrl !== previousUrl) {
+        await uploads.attach(profilePictureUrl, req.user.uid);
+        await usersCollection.updateOne({ uid: req.user.uid }, { $set: { profilePictureUrl } });
+        await uploads.release(previousUrl);
+      }
+
+      res.status(200).json({ message: 'Profile picture updated', profilePictureUrl });
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error updating profile picture:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Get User Role and Coins Route
+  router.get('/api/users/:email/role', verifyToken, validate(schemas.emailParam), async (req, res) => {
+    const userEmail = req.params.email;
+
+    // Users may only look up themselves unless they are an admin
+    if (!isAdmin(req) && req.user.email !== userEmail) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    try {
+      const user = await usersCollection.findOne({ email: userEmail });
+
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const coins = user.coins || 0;
+      res.status(200).json({ role: user.role, coin: coins });
+    } catch (err) {
+      console.error('Error fetching user data:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
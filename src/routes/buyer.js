@@ -0,0 +1,321 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const validate = require('../middleware/validate');
+const { verifyRole } = require('../middleware/auth');
+const { CoinLedgerError } = require('../ledger');
+const { schemas } = require('../schemas');
+const { pageInfo } = require('../pagination');
+const { projectionFor, serialize } = require('../serializers');
+const { TASK_STATUS, ACTIVE_TASK_STATUSES, syncTaskStatus, releaseSubmissionSlot } = require('../taskLifecycle');
+
+module.exports = function createBuyerRoutes({ collections, ledger, notifier, mailer, idempotent, audit, verifyToken }) {
+  const { tasksCollection, usersCollection } = collections;
+  const { runTransaction, applyCoinChange } = ledger;
+  const router = express.Router();
+
+  // Audit targets for a review: the submission, its task, the worker's balance and the buyer's
+  // (a rejection may refund the buyer)
+  const reviewTargets = async (req) => {
+    const { taskId, submissionId } = req.params;
+    const task = await tasksCollection.findOne(
+      { _id: new ObjectId(taskId) },
+      { projection: { userId: 1, submissions: { $elemMatch: { _id: new ObjectId(submissionId) } } } }
+    );
+    const submission = task && task.submissions && task.submissions[0];
+    return [
+      { type: 'submission', id: submissionId },
+      { type: 'task', id: taskId },
+      { type: 'user', id: submission && submission.workerId },
+      { type: 'user', id: task && task.userId },
+    ];
+  };
+
+  // Buyer dashboard stats, counted from the submissions on each task:
+  //   totalPayment / coinsSpent - coins paid out for approved submissions
+  //   coinsReserved             - coins still set aside for open slots and pending submissions
+  //   approvalRate              - approved / (approved + rejected), null before any review
+  router.get('/api/buyer-dashboard/:userId', verifyToken, verifyRole('buyer'), validate(schemas.userIdParam), async (req, res) => {
+    const userId = req.params.userId;
+
+    if (userId !== req.user.uid) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    const countByStatus = (status) => ({
+      $size: { $filter: { input: { $ifNull: ['$submissions', []] }, cond: { $eq: ['$$this.status', status] } } },
+    });
+
+    try {
+      const tasks = await tasksCollection.aggregate([
+        { $match: { userId } },
+        { $sort: { createdAt: -1, _id: 1 } },
+        {
+          $project: {
+            taskTitle: 1,
+            status: 1,
+            payableAmount: 1,
+            requiredWorkers: 1,
+            totalWorkers: 1,
+            approved: countByStatus('approved'),
+            rejected: countByStatus('rejected'),
+            pending: countByStatus('pending'),
+          },
+        },
+      ]).toArray();
+
+      const totals = { approved: 0, rejected: 0, pending: 0, coinsSpent: 0, coinsReserved: 0 };
+      const perTask = tasks.map((task) => {
+        const coinsPaid = task.approved * task.payableAmount;
+        const coinsReserved = [...ACTIVE_TASK_STATUSES, TASK_STATUS.EXPIRED].includes(task.status)
+          ? (task.requiredWorkers + task.pending) * task.payableAmount
+          : 0;
+
+        totals.approved += task.approved;
+        totals.rejected += task.rejected;
+        totals.pending += task.pending;
+        totals.coinsSpent += coinsPaid;
+        totals.coinsReserved += coinsReserved;
+
+        return {
+          taskId: task._id,
+          taskTitle: task.taskTitle,
+          status: task.status,
+          totalWorkers: task.totalWorkers,
+          approvedSubmissions: task.approved,
+          rejectedSubmissions: task.rejected,
+          pendingSubmissions: task.pending,
+          coinsPaid,
+          coinsReserved,
+        };
+      });
+
+      const reviewed = totals.approved + totals.rejected;
+
+      res.status(200).json({
+        totalTaskCount: tasks.length,
+        // Open worker slots across active tasks
+        pendingTaskCount: tasks
+          .filter(task => ACTIVE_TASK_STATUSES.includes(task.status))
+          .reduce((sum, task) => sum + task.requiredWorkers, 0),
+        totalPayment: totals.coinsSpent,
+        coinsSpent: totals.coinsSpent,
+        coinsReserved: totals.coinsReserved,
+        approvedSubmissions: totals.approved,
+        rejectedSubmissions: totals.rejected,
+        pendingSubmissions: totals.pending,
+        approvalRate: reviewed ? Math.round((totals.approved / reviewed) * 10000) / 10000 : null,
+        tasks: perTask,
+      });
+    } catch (err) {
+      console.error('❌ Error fetching buyer dashboard data:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  //dash count
+  router.get('/api/buyer-reviews/:userId', verifyToken, verifyRole('buyer'), validate(schemas.userIdParam), async (req, res) => {
+    const userId = req.params.userId;
+
+    if (userId !== req.user.uid) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    try {
+      // Fetch the buyer's tasks that have submissions waiting for review
+      const tasks = await tasksCollection.find({ userId, 'submissions.status': 'pending' }).toArray();
+
+      // Filter pending submissions from tasks; older tasks may have no submissions array
+      const pendingByTask = tasks.map(task => (task.submissions || []).filter(submission => submission.status === 'pending'));
+
+      // The buyer sees each worker's public profile, never their email
+      const workerIds = [...new Set(pendingByTask.flat().map(submission => submission.workerId))];
+      const workers = await usersCollection
+        .find({ uid: { $in: workerIds } }, { projection: { uid: 1, ...projectionFor('user', 'public') } })
+        .toArray();
+      const workersByUid = new Map(workers.map(worker => [worker.uid, serialize('user', 'public', worker)]));
+
+      const pendingSubmissions = tasks.map((task, index) => ({
+        ...task,
+        submissions: pendingByTask[index].map(submission => ({
+          ...serialize('submission', 'public', submission),
+          worker: workersByUid.get(submission.workerId) || null,
+        })),
+      }));
+
+      res.status(200).json({ pendingSubmissions });
+    } catch (err) {
+      console.error('❌ Error fetching tasks to review:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Fetch the buyer's approved submissions, most recently approved first (paginated, optional ?taskId=)
+  router.get('/api/buyer/approved-submissions', verifyToken, verifyRole('buyer'), validate(schemas.listApprovedSubmissions), async (req, res) => {
+    const { page, limit, taskId } = req.query;
+
+    const taskMatch = { userId: req.user.uid, 'submissions.status': 'approved' };
+    if (taskId) taskMatch._id = new ObjectId(taskId);
+
+    try {
+      const [result] = await tasksCollection.aggregate([
+        { $match: taskMatch },
+        { $unwind: '$submissions' },
+        { $match: { 'submissions.status': 'approved' } },
+        { $sort: { 'submissions.reviewedAt': -1, 'submissions._id': 1 } },
+        {
+          $facet: {
+            submissions: [
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              {
+                $project: {
+                  _id: '$submissions._id',
+                  taskId: '$_id',
+                  taskTitle: 1,
+                  coinsPaid: '$payableAmount',
+                  workerName: '$submissions.workerName',
+                  submission_details: '$submissions.submission_details',
+                  submittedAt: '$submissions.submittedAt',
+                  approvedAt: '$submissions.reviewedAt',
+                },
+              },
+            ],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]).toArray();
+
+      const total = result.total.length ? result.total[0].count : 0;
+      res.status(200).json({ submissions: result.submissions, pagination: pageInfo(page, limit, total) });
+    } catch (err) {
+      console.error('❌ Error fetching approved submissions:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Approve task submission and increase worker's coins
+  router.patch('/api/tasks/approve/:taskId/:submissionId', verifyToken, verifyRole('buyer'), validate(schemas.reviewSubmission), idempotent,
+    audit('submission.approved', reviewTargets), async (req, res) => {
+    const { taskId, submissionId } = req.params;
+
+    try {
+      // Only the buyer who owns the task can review its submissions
+      const ownedTask = await tasksCollection.findOne({ _id: new ObjectId(taskId), userId: req.user.uid });
+      if (!ownedTask) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      await runTransaction(async (session) => {
+        // Update submission status to 'approved' (only while it is still pending)
+        const updatedSubmission = await tasksCollection.updateOne(
+          {
+            _id: new ObjectId(taskId),
+            submissions: { $elemMatch: { _id: new ObjectId(submissionId), status: 'pending' } },
+          },
+          {
+            $set: {
+              'submissions.$.status': 'approved',
+              'submissions.$.reviewedAt': new Date(),
+            }
+          },
+          { session });
+
+        if (!updatedSubmission.modifiedCount) {
+          throw new CoinLedgerError('Submission not found or already approved', 404);
+        }
+
+        // Submissions store the worker's Firebase uid
+        const submission = ownedTask.submissions.find(s => s._id.toString() === submissionId);
+        const { workerId } = submission;
+
+        // Increase worker's coins by payable amount
+        await applyCoinChange(session, {
+          uid: workerId,
+          amount: ownedTask.payableAmount,
+          reason: 'submission_approved',
+          referenceId: submissionId,
+        });
+
+        // Filling the last slot with approved work completes the task
+        await syncTaskStatus(tasksCollection, ownedTask._id, session);
+
+        await notifier.notify(workerId, {
+          type: 'submission_approved',
+          message: `Your submission for "${ownedTask.taskTitle}" was approved: +${ownedTask.payableAmount} coins`,
+          data: { taskId: ownedTask._id, submissionId },
+        }, session);
+        await mailer.enqueue('submission_approved', submission.workerEmail, {
+          name: submission.workerName,
+          taskTitle: ownedTask.taskTitle,
+          coins: ownedTask.payableAmount,
+        }, session);
+      });
+
+      res.status(200).json({ message: 'Submission approved and worker coins updated' });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error approving task submission:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Reject task submission and update required workers count
+  router.patch('/api/tasks/reject/:taskId/:submissionId', verifyToken, verifyRole('buyer'), validate(schemas.reviewSubmission), idempotent,
+    audit('submission.rejected', reviewTargets), async (req, res) => {
+    const { taskId, submissionId } = req.params;
+
+    try {
+      // Only the buyer who owns the task can review its submissions
+      const ownedTask = await tasksCollection.findOne({ _id: new ObjectId(taskId), userId: req.user.uid });
+      if (!ownedTask) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      await runTransaction(async (session) => {
+        // Update submission status to 'rejected' (only while it is still pending)
+        const task = await tasksCollection.findOneAndUpdate(
+          {
+            _id: new ObjectId(taskId),
+            submissions: { $elemMatch: { _id: new ObjectId(submissionId), status: 'pending' } },
+          },
+          {
+            $set: {
+              'submissions.$.status': 'rejected',
+              'submissions.$.reviewedAt': new Date(),
+            }
+          },
+          { session });
+
+        if (!task) {
+          throw new CoinLedgerError('Submission not found or already rejected', 404);
+        }
+
+        // Increase required workers for the task, or refund the buyer if it no longer takes submissions
+        await releaseSubmissionSlot(session, { collections, ledger }, task, submissionId);
+
+        const submission = task.submissions.find(s => s._id.toString() === submissionId);
+        await notifier.notify(submission.workerId, {
+          type: 'submission_rejected',
+          message: `Your submission for "${task.taskTitle}" was rejected`,
+          data: { taskId: task._id, submissionId },
+        }, session);
+        await mailer.enqueue('submission_rejected', submission.workerEmail, {
+          name: submission.workerName,
+          taskTitle: task.taskTitle,
+        }, session);
+      });
+
+      res.status(200).json({ message: 'Submission rejected and required workers updated' });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error rejecting task submission:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,211 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { verifyRole } = require('../middleware/auth');
+const { schemas } = require('../schemas');
+const { compactFilter } = require('../pagination');
+const { payoutFilter } = require('../aggregations');
+const { csvRow, writeChunk } = require('../csv');
+const { maskAccountNumber } = require('../serializers');
+
+// Accounting exports of payments and withdrawals, streamed as CSV or NDJSON, and worker statements.
+// Account numbers are masked unless an admin asks for ?fullAccountNumbers=true, which is audited.
+
+// Date filter for ?from/?to, with `to` covering its whole day
+function periodFilter(from, to) {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) {
+    range.$lt = new Date(to.getTime());
+    range.$lt.setUTCDate(range.$lt.getUTCDate() + 1);
+  }
+  return range;
+}
+
+const exportFileName = (name, { from, to }, format) => {
+  const day = date => date.toISOString().slice(0, 10);
+  const period = from || to ? `-${from ? day(from) : 'start'}-to-${to ? day(to) : day(new Date())}` : '';
+  return `${name}${period}.${format}`;
+};
+
+const toNumber = value => Number(value) || 0;
+const toCents = value => Math.round(value * 100) / 100;
+
+// Running totals per payment system, split by status
+function createTotals() {
+  const totals = new Map();
+  return {
+    add({ payment_system, status, coins, amount }) {
+      const key = `${payment_system}\u0000${status}`;
+      const entry = totals.get(key) || { payment_system, status, count: 0, coins: 0, amount: 0 };
+      entry.count += 1;
+      entry.coins += toNumber(coins);
+      entry.amount += toNumber(amount);
+      totals.set(key, entry);
+    },
+    rows: () => [...totals.values()]
+      .map(entry => ({ ...entry, amount: toCents(entry.amount) }))
+      .sort((a, b) => String(a.payment_system).localeCompare(String(b.payment_system)) || String(a.status).localeCompare(String(b.status))),
+  };
+}
+
+const TOTALS_HEADER = ['payment_system', 'status', 'count', 'coins', 'amount'];
+
+// Stream every document of `cursor` as a row of `columns` (built by `toRow`), followed by totals per
+// payment system: a second CSV section after a blank line, or `{"totals": {...}}` lines in NDJSON.
+async function streamExport(res, { fileName, format, columns, cursor, toRow }) {
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+  });
+
+  // Exports can be large, so every write waits for the client when its buffer is full
+  const write = (chunk) => writeChunk(res, chunk);
+
+  const totals = createTotals();
+  if (format === 'csv' && !(await write(csvRow(columns)))) return;
+
+  for await (const doc of cursor) {
+    const row = toRow(doc);
+    totals.add(row);
+    if (!(await write(format === 'csv' ? csvRow(columns.map(column => row[column])) : `${JSON.stringify(row)}\n`))) return;
+  }
+
+  const totalRows = format === 'csv'
+    ? ['\r\n', csvRow(['totals']), csvRow(TOTALS_HEADER), ...totals.rows().map(entry => csvRow(TOTALS_HEADER.map(column => entry[column])))]
+    : totals.rows().map(entry => `${JSON.stringify({ totals: entry })}\n`);
+  for (const chunk of totalRows) {
+    if (!(await write(chunk))) return;
+  }
+  res.end();
+}
+
+const PAYMENT_COLUMNS = [
+  '_id', 'payment_date', 'type', 'status', 'payment_system', 'account_number', 'coins', 'amount', 'currency',
+  'worker_name', 'worker_email', 'buyer_name', 'buyer_email', 'payment_intent_id', 'payment_info',
+];
+const WITHDRAWAL_COLUMNS = [
+  '_id', 'withdraw_date', 'status', 'payment_system', 'account_number', 'coins', 'amount',
+  'worker_uid', 'worker_name', 'worker_email', 'rejection_reason',
+];
+const STATEMENT_COLUMNS = ['_id', 'withdraw_date', 'status', 'payment_system', 'account_number', 'coins', 'amount', 'rejection_reason'];
+
+// Coin purchases and payouts share one row shape: `coins` and `amount` are whichever the record holds.
+// Coin purchases are paid by card through Stripe; payouts recorded before `type` existed are payouts.
+const paymentRow = (payment, fullAccountNumbers) => ({
+  _id: payment._id,
+  payment_date: payment.payment_date,
+  type: payment.type || 'withdrawal_payout',
+  status: payment.status,
+  payment_system: payment.type === 'coin_purchase' ? 'stripe' : payment.payment_system,
+  account_number: fullAccountNumbers ? payment.account_number : maskAccountNumber(payment.account_number),
+  coins: toNumber(payment.type === 'coin_purchase' ? payment.coins : payment.withdrawal_coin),
+  amount: toNumber(payment.type === 'coin_purchase' ? payment.amount : payment.withdrawal_amount),
+  currency: payment.currency || 'usd',
+  worker_name: payment.worker_name,
+  worker_email: payment.worker_email,
+  buyer_name: payment.buyer_name,
+  buyer_email: payment.buyer_email,
+  payment_intent_id: payment.payment_intent_id,
+  payment_info: payment.payment_info,
+});
+
+const withdrawalRow = (withdrawal, fullAccountNumbers) => ({
+  _id: withdrawal._id,
+  withdraw_date: withdrawal.withdraw_date,
+  status: withdrawal.status,
+  payment_system: withdrawal.payment_system,
+  account_number: fullAccountNumbers ? withdrawal.account_number : maskAccountNumber(withdrawal.account_number),
+  coins: toNumber(withdrawal.withdrawal_coin),
+  amount: toNumber(withdrawal.withdrawal_amount),
+  worker_uid: withdrawal.worker_uid,
+  worker_name: withdrawal.worker_name,
+  worker_email: withdrawal.worker_email,
+  rejection_reason: withdrawal.rejection_reason,
+});
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column]]));
+
+// /api/admin routes are already behind verifyToken + verifyRole('admin')
+module.exports = function createExportRoutes({ collections, audit, verifyToken }) {
+  const { WithdrawalsCollection, PaymentsCollection } = collections;
+  const router = express.Router();
+
+  // Unmasked exports are recorded in the audit log (the query string holds the period and filters)
+  const auditUnmasked = (action) => {
+    const record = audit(action, () => []);
+    return (req, res, next) => (req.query.fullAccountNumbers ? record(req, res, next) : next());
+  };
+
+  const handleExportError = (res, what, err) => {
+    console.error(`❌ Error exporting ${what}:`, err);
+    // An export that fails midway is aborted so the client doesn't keep a truncated file
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ message: 'Server error' });
+  };
+
+  // Payments (coin purchases and withdrawal payouts) by payment date (?from, ?to, ?type, ?payment_system)
+  router.get('/api/admin/exports/payments', validate(schemas.exportPayments),
+    auditUnmasked('payments.exported_unmasked'), async (req, res) => {
+    const { from, to, type, payment_system, format, fullAccountNumbers } = req.query;
+    const conditions = [compactFilter({ payment_date: periodFilter(from, to) })];
+    if (type) conditions.push(type === 'coin_purchase' ? { type } : payoutFilter);
+    if (payment_system) conditions.push(payment_system === 'stripe' ? { type: 'coin_purchase' } : { payment_system });
+    const filter = { $and: conditions };
+
+    try {
+      await streamExport(res, {
+        fileName: exportFileName('payments', req.query, format),
+        format,
+        columns: PAYMENT_COLUMNS,
+        cursor: PaymentsCollection.find(filter).sort({ payment_date: 1, _id: 1 }),
+        toRow: payment => paymentRow(payment, fullAccountNumbers),
+      });
+    } catch (err) {
+      handleExportError(res, 'payments', err);
+    }
+  });
+
+  // Withdrawal requests by request date (?from, ?to, ?status, ?payment_system)
+  router.get('/api/admin/exports/withdrawals', validate(schemas.exportWithdrawals),
+    auditUnmasked('withdrawals.exported_unmasked'), async (req, res) => {
+    const { from, to, status, payment_system, format, fullAccountNumbers } = req.query;
+    const filter = compactFilter({ status, payment_system, withdraw_date: periodFilter(from, to) });
+
+    try {
+      await streamExport(res, {
+        fileName: exportFileName('withdrawals', req.query, format),
+        format,
+        columns: WITHDRAWAL_COLUMNS,
+        cursor: WithdrawalsCollection.find(filter).sort({ withdraw_date: 1, _id: 1 }),
+        toRow: withdrawal => withdrawalRow(withdrawal, fullAccountNumbers),
+      });
+    } catch (err) {
+      handleExportError(res, 'withdrawals', err);
+    }
+  });
+
+  // The signed-in worker's own withdrawal statement (?from, ?to, ?status); account numbers are always masked
+  router.get('/api/worker/statement', verifyToken, verifyRole('worker'), validate(schemas.workerStatement), async (req, res) => {
+    const { from, to, status, format } = req.query;
+    const filter = {
+      // Withdrawals requested before worker_uid was recorded only carry the email
+      $or: [{ worker_uid: req.user.uid }, { worker_email: req.user.email }],
+      ...compactFilter({ status, withdraw_date: periodFilter(from, to) }),
+    };
+
+    try {
+      await streamExport(res, {
+        fileName: exportFileName('withdrawal-statement', req.query, format),
+        format,
+        columns: STATEMENT_COLUMNS,
+        cursor: WithdrawalsCollection.find(filter).sort({ withdraw_date: 1, _id: 1 }),
+        toRow: withdrawal => pick(withdrawalRow(withdrawal, false), STATEMENT_COLUMNS),
+      });
+    } catch (err) {
+      handleExportError(res, 'withdrawal statement', err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,205 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const validate = require('../middleware/validate');
+const { verifyRole } = require('../middleware/auth');
+const { CoinLedgerError } = require('../ledger');
+const { schemas } = require('../schemas');
+const { pageInfo } = require('../pagination');
+const { cancelTask } = require('../taskLifecycle');
+
+// Task reports from workers, the admin report queue and admin takedowns.
+// /api/admin routes are already behind verifyToken + verifyRole('admin').
+module.exports = function createModerationRoutes({ collections, ledger, notifier, audit, verifyToken }) {
+  const { tasksCollection, TaskReportsCollection, ModerationLogCollection } = collections;
+  const { runTransaction } = ledger;
+  const router = express.Router();
+
+  // Audit targets for a takedown: the task, its reports and the refunded buyer
+  const takedownTargets = async (req) => {
+    const task = await tasksCollection.findOne({ _id: new ObjectId(req.params.taskId) }, { projection: { userId: 1 } });
+    return [
+      { type: 'task', id: req.params.taskId },
+      { type: 'reports', id: req.params.taskId },
+      { type: 'user', id: task && task.userId },
+    ];
+  };
+
+  // Report a task; each worker can report a given task once
+  router.post('/api/worker/tasks/:taskId/reports', verifyToken, verifyRole('worker'), validate(schemas.reportTask), async (req, res) => {
+    const taskId = new ObjectId(req.params.taskId);
+
+    try {
+      const task = await tasksCollection.findOne({ _id: taskId }, { projection: { _id: 1 } });
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      const result = await TaskReportsCollection.insertOne({
+        taskId,
+        reporterUid: req.user.uid,
+        reporterEmail: req.user.email,
+        reason: req.body.reason,
+        status: 'open',
+        createdAt: new Date(),
+      });
+
+      res.status(201).json({ message: 'Report submitted', reportId: result.insertedId });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'You have already reported this task' });
+      }
+      console.error('❌ Error reporting task:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Admin report queue: reports grouped by task, most reported first (?status=open|dismissed|actioned)
+  router.get('/api/admin/reports', validate(schemas.listReports), async (req, res) => {
+    const { page, limit, status } = req.query;
+
+    try {
+      const [result] = await TaskReportsCollection.aggregate([
+        { $match: { status } },
+        { $sort: { createdAt: -1 } },
+        {
+          $group: {
+            _id: '$taskId',
+            reportCount: { $sum: 1 },
+            latestReportAt: { $first: '$createdAt' },
+            reports: { $push: { _id: '$_id', reporterUid: '$reporterUid', reporterEmail: '$reporterEmail', reason: '$reason', createdAt: '$createdAt' } },
+          },
+        },
+        { $sort: { reportCount: -1, latestReportAt: -1, _id: 1 } },
+        {
+          $facet: {
+            reports: [
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              { $lookup: { from: 'tasks', localField: '_id', foreignField: '_id', as: 'task' } },
+              { $unwind: { path: '$task', preserveNullAndEmptyArrays: true } },
+              {
+                $project: {
+                  _id: 0,
+                  taskId: '$_id',
+                  reportCount: 1,
+                  latestReportAt: 1,
+                  reports: 1,
+                  task: {
+                    taskTitle: '$task.taskTitle',
+                    userId: '$task.userId',
+                    buyerName: '$task.buyerName',
+                    status: '$task.status',
+                    payableAmount: '$task.payableAmount',
+                  },
+                },
+              },
+            ],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]).toArray();
+
+      const total = result.total.length ? result.total[0].count : 0;
+      res.status(200).json({ reports: result.reports, pagination: pageInfo(page, limit, total) });
+    } catch (err) {
+      console.error('❌ Error fetching task reports:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Dismiss every open report on a task without touching the task
+  router.patch('/api/admin/reports/:taskId/dismiss', validate(schemas.dismissReports),
+    audit('task.reports_dismissed', req => [{ type: 'reports', id: req.params.taskId }]), async (req, res) => {
+    try {
+      const result = await TaskReportsCollection.updateMany(
+        { taskId: new ObjectId(req.params.taskId), status: 'open' },
+        { $set: { status: 'dismissed', resolvedAt: new Date(), resolvedBy: req.user.uid, resolutionNote: req.body.note } }
+      );
+
+      if (!result.matchedCount) {
+        return res.status(404).json({ message: 'No open reports for this task' });
+      }
+
+      res.status(200).json({ message: 'Reports dismissed', dismissed: result.modifiedCount });
+    } catch (err) {
+      console.error('❌ Error dismissing task reports:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Take a task down: cancel it (refunding the buyer's unspent coins and rejecting pending
+  // submissions), close its reports and record the action in the moderation log.
+  // The task document is kept, marked as removed, so approved submissions keep their history.
+  router.delete('/api/admin/tasks/:taskId', validate(schemas.takedownTask),
+    audit('task.taken_down', takedownTargets), async (req, res) => {
+    const taskId = new ObjectId(req.params.taskId);
+    const { reason } = req.body;
+
+    try {
+      const takedown = await runTransaction(async (session) => {
+        const cancelled = await cancelTask(session, { collections, ledger }, taskId, { reason: 'admin_takedown' });
+        if (!cancelled) {
+          const exists = await tasksCollection.countDocuments({ _id: taskId }, { session, limit: 1 });
+          throw new CoinLedgerError(exists ? 'Task is already closed' : 'Task not found', exists ? 409 : 404);
+        }
+        const { task, refund, affectedWorkerIds } = cancelled;
+        const now = new Date();
+
+        await tasksCollection.updateOne(
+          { _id: taskId },
+          { $set: { removedByAdmin: true, takedownReason: reason, removedAt: now } },
+          { session }
+        );
+
+        const openReports = await TaskReportsCollection
+          .find({ taskId, status: 'open' }, { session })
+          .project({ _id: 1 })
+          .toArray();
+        const reportIds = openReports.map(report => report._id);
+        if (reportIds.length) {
+          await TaskReportsCollection.updateMany(
+            { _id: { $in: reportIds } },
+            { $set: { status: 'actioned', resolvedAt: now, resolvedBy: req.user.uid } },
+            { session }
+          );
+        }
+
+        await ModerationLogCollection.insertOne({
+          action: 'task_takedown',
+          taskId,
+          taskTitle: task.taskTitle,
+          buyerUid: task.userId,
+          adminUid: req.user.uid,
+          reason,
+          refund,
+          affectedWorkerIds,
+          reportIds,
+          createdAt: now,
+        }, { session });
+
+        await notifier.notify(affectedWorkerIds, {
+          type: 'task_removed',
+          message: `"${task.taskTitle}" was removed by an admin and your pending submission was closed`,
+          data: { taskId },
+        }, session);
+        await notifier.notify(task.userId, {
+          type: 'task_taken_down',
+          message: `"${task.taskTitle}" was removed by an admin: ${reason}`,
+          data: { taskId, refund },
+        }, session);
+
+        return { refund, affectedWorkers: affectedWorkerIds.length, reportsActioned: reportIds.length };
+      });
+
+      res.status(200).json({ message: 'Task taken down', ...takedown });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error taking down task:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
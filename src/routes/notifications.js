@@ -0,0 +1,94 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const validate = require('../middleware/validate');
+const { schemas } = require('../schemas');
+const { paginate } = require('../pagination');
+const { createVerifyStreamToken } = require('../middleware/auth');
+
+// How often the live stream sends a comment line so proxies don't close idle connections
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+module.exports = function createNotificationRoutes({ collections, notifier, verifyToken, auth }) {
+  const { NotificationsCollection } = collections;
+  const router = express.Router();
+  const verifyStreamToken = createVerifyStreamToken({ auth, collections });
+
+  // Fetch the logged-in user's notifications, newest first (paginated, optional ?unread=true)
+  router.get('/api/notifications', verifyToken, validate(schemas.listNotifications), async (req, res) => {
+    const { unread } = req.query;
+    const filter = { uid: req.user.uid };
+    if (unread !== undefined) filter.read = !unread;
+
+    try {
+      const [{ items: notifications, pagination }, unreadCount] = await Promise.all([
+        paginate(NotificationsCollection, filter, { ...req.query, sortBy: 'createdAt', order: 'desc' }),
+        NotificationsCollection.countDocuments({ uid: req.user.uid, read: false }),
+      ]);
+
+      res.status(200).json({ notifications, unreadCount, pagination });
+    } catch (err) {
+      console.error('❌ Error fetching notifications:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Live stream of new notifications as Server-Sent Events ("notification" events with a JSON body).
+  // Send the Firebase token in the Authorization header, or as ?token= from a browser EventSource.
+  router.get('/api/notifications/stream', verifyStreamToken, (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    res.write('event: ready\ndata: {}\n\n');
+
+    const unsubscribe = notifier.subscribe(req.user.uid, (notification) => {
+      res.write(`id: ${notification._id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  // Mark every unread notification as read
+  router.patch('/api/notifications/read-all', verifyToken, async (req, res) => {
+    try {
+      const result = await NotificationsCollection.updateMany(
+        { uid: req.user.uid, read: false },
+        { $set: { read: true, readAt: new Date() } }
+      );
+
+      res.status(200).json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+    } catch (err) {
+      console.error('❌ Error marking notifications as read:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Mark one notification as read; users can only touch their own
+  router.patch('/api/notifications/:notificationId/read', verifyToken, validate(schemas.notificationIdParam), async (req, res) => {
+    try {
+      const result = await NotificationsCollection.updateOne(
+        { _id: new ObjectId(req.params.notificationId), uid: req.user.uid },
+        { $set: { read: true, readAt: new Date() } }
+      );
+
+      if (!result.matchedCount) {
+        return res.status(404).json({ message: 'Notification not found' });
+      }
+
+      res.status(200).json({ message: 'Notification marked as read' });
+    } catch (err) {
+      console.error('❌ Error marking notification as read:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,152 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { verifyRole } = require('../middleware/auth');
+const { schemas } = require('../schemas');
+const { CoinLedgerError } = require('../ledger');
+const { COIN_PACKAGES } = require('../config');
+const { serializeAll } = require('../serializers');
+
+// Stripe webhook routes; mounted before the JSON parsers because the signature is checked against the raw body
+function createStripeWebhookRoutes({ collections, ledger, stripe }) {
+  const { usersCollection, PaymentsCollection } = collections;
+  const { runTransaction, applyCoinChange } = ledger;
+  const router = express.Router();
+
+  // Credit a buyer for a succeeded PaymentIntent; safe to call more than once per intent
+  async function creditCoinPurchase(paymentIntent) {
+    const { uid, packageId } = paymentIntent.metadata || {};
+    const coinPackage = COIN_PACKAGES.find(pkg => pkg.id === packageId);
+
+    if (!uid || !coinPackage) {
+      console.error('❌ PaymentIntent is missing buyer or package metadata:', paymentIntent.id);
+      return;
+    }
+
+    // A payment that doesn't match the package price is recorded for review, but credits no coins
+    const amountMatches = paymentIntent.amount_received === coinPackage.price * 100;
+    if (!amountMatches) {
+      console.error('❌ PaymentIntent amount does not match package price:', paymentIntent.id);
+    }
+
+    try {
+      await runTransaction(async (session) => {
+        const existing = await PaymentsCollection.findOne({ payment_intent_id: paymentIntent.id }, { session });
+        if (existing) return; // Already credited by an earlier delivery of this event
+
+        const buyer = await usersCollection.findOne({ uid }, { session });
+        if (!buyer) throw new CoinLedgerError('User not found', 404);
+
+        await PaymentsCollection.insertOne({
+          type: 'coin_purchase',
+          buyer_uid: uid,
+          buyer_email: buyer.email,
+          buyer_name: buyer.name,
+          package_id: coinPackage.id,
+          coins: amountMatches ? coinPackage.coins : 0,
+          amount: paymentIntent.amount_received / 100,
+          ...(!amountMatches && { expected_amount: coinPackage.price }),
+          currency: paymentIntent.currency,
+          payment_intent_id: paymentIntent.id,
+          status: amountMatches ? 'succeeded' : 'amount_mismatch',
+          payment_date: new Date(),
+        }, { session });
+        if (!amountMatches) return;
+
+        await applyCoinChange(session, {
+          uid,
+          amount: coinPackage.coins,
+          reason: 'coin_purchase',
+          referenceId: paymentIntent.id,
+        });
+      });
+    } catch (err) {
+      // A concurrent delivery of the same event won the unique index race
+      if (err.code === 11000) return;
+      throw err;
+    }
+  }
+
+  // Stripe webhook: credits the buyer when a PaymentIntent succeeds
+  router.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+    const signature = req.headers['stripe-signature'];
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.body, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      console.error('❌ Stripe webhook signature verification failed:', err.message);
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    try {
+      if (event.type === 'payment_intent.succeeded') {
+        await creditCoinPurchase(event.data.object);
+      }
+      res.status(200).json({ received: true });
+    } catch (err) {
+      // A non-2xx response makes Stripe retry the event later
+      console.error('❌ Error handling Stripe webhook:', err);
+      res.status(500).json({ message: 'Webhook handling failed' });
+    }
+  });
+
+  return router;
+}
+
+// Coin package, PaymentIntent and purchase history routes for buyers
+function createPaymentRoutes({ collections, limiters, verifyToken, stripe }) {
+  const { PaymentsCollection } = collections;
+  const router = express.Router();
+
+  // List the coin packages available for purchase
+  router.get('/api/coin-packages', (req, res) => {
+    res.status(200).json({ packages: COIN_PACKAGES });
+  });
+
+  // Create a Stripe PaymentIntent for the chosen coin package
+  router.post('/api/payments/create-payment-intent', verifyToken, verifyRole('buyer'), limiters.paymentIntents, validate(schemas.createPaymentIntent), async (req, res) => {
+    const { packageId } = req.body;
+    const coinPackage = COIN_PACKAGES.find(pkg => pkg.id === packageId);
+
+    try {
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: coinPackage.price * 100, // Stripe expects the amount in cents
+        currency: 'usd',
+        payment_method_types: ['card'],
+        metadata: {
+          uid: req.user.uid,
+          packageId: coinPackage.id,
+          coins: String(coinPackage.coins),
+        },
+      });
+
+      res.status(201).json({
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        package: coinPackage,
+      });
+    } catch (err) {
+      console.error('❌ Error creating payment intent:', err);
+      res.status(500).json({ message: 'Failed to create payment intent' });
+    }
+  });
+
+  // Fetch the logged-in buyer's coin purchase history
+  router.get('/api/payments/history', verifyToken, verifyRole('buyer'), async (req, res) => {
+    try {
+      const payments = await PaymentsCollection
+        .find({ type: 'coin_purchase', buyer_uid: req.user.uid })
+        .sort({ payment_date: -1 })
+        .toArray();
+
+      res.status(200).json({ payments: serializeAll('payment', 'owner', payments) });
+    } catch (err) {
+      console.error('❌ Error fetching payment history:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPaymentRoutes, createStripeWebhookRoutes };
@@ -0,0 +1,109 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { schemas } = require('../schemas');
+const { createTtlCache } = require('../cache');
+const { sumAsNumber, payoutFilter } = require('../aggregations');
+const { PUBLIC_CACHE_TTL_MS, ACTIVE_WORKER_DAYS } = require('../config');
+const { projectionFor, serialize } = require('../serializers');
+
+// Unauthenticated endpoints for the home page. Responses are cached for PUBLIC_CACHE_TTL_MS and
+// expose only the public user view (name, role, avatar), never uids, emails or balances beyond
+// the ranked figure.
+module.exports = function createPublicRoutes({ collections }) {
+  const { usersCollection, tasksCollection, PaymentsCollection } = collections;
+  const cache = createTtlCache({ ttlMs: PUBLIC_CACHE_TTL_MS });
+  const router = express.Router();
+
+  // Workers visible on the leaderboard
+  const listedWorker = { role: 'worker', suspended: { $ne: true } };
+
+  // Each entry is the worker's public profile plus the figure they are ranked by
+  const topWorkersByCoins = async (limit) => {
+    const workers = await usersCollection.aggregate([
+      { $match: listedWorker },
+      { $sort: { coins: -1, createdAt: 1 } },
+      { $limit: limit },
+      { $project: { ...projectionFor('user', 'public'), coins: 1 } },
+    ]).toArray();
+    return workers.map(worker => ({ ...serialize('user', 'public', worker), coins: worker.coins }));
+  };
+
+  const topWorkersByApprovals = async (limit) => {
+    const ranked = await tasksCollection.aggregate([
+      { $match: { 'submissions.status': 'approved' } },
+      { $unwind: '$submissions' },
+      { $match: { 'submissions.status': 'approved' } },
+      { $group: { _id: '$submissions.workerId', approvedSubmissions: { $sum: 1 } } },
+      { $sort: { approvedSubmissions: -1, _id: 1 } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: 'uid',
+          pipeline: [{ $match: listedWorker }, { $project: projectionFor('user', 'public') }],
+          as: 'worker',
+        },
+      },
+      { $unwind: '$worker' }, // Drops deleted, suspended and non-worker accounts
+      { $limit: limit },
+    ]).toArray();
+    return ranked.map(({ worker, approvedSubmissions }) => ({ ...serialize('user', 'public', worker), approvedSubmissions }));
+  };
+
+  // Top workers by coin balance (?by=coins) or approved submissions (?by=approvals)
+  router.get('/api/leaderboard', validate(schemas.leaderboard), async (req, res) => {
+    const { by, limit } = req.query;
+
+    try {
+      const workers = await cache.wrap(`leaderboard:${by}:${limit}`, () =>
+        (by === 'approvals' ? topWorkersByApprovals(limit) : topWorkersByCoins(limit))
+      );
+
+      res.status(200).json({
+        by,
+        workers: workers.map((worker, index) => ({ rank: index + 1, ...worker })),
+      });
+    } catch (err) {
+      console.error('❌ Error fetching leaderboard:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Platform totals for the home page
+  router.get('/api/metrics', async (req, res) => {
+    try {
+      const metrics = await cache.wrap('metrics', async () => {
+        const activeSince = new Date(Date.now() - ACTIVE_WORKER_DAYS * 24 * 60 * 60 * 1000);
+
+        const [totalTasks, payoutTotals, activeWorkers] = await Promise.all([
+          tasksCollection.countDocuments(),
+          PaymentsCollection.aggregate([
+            { $match: payoutFilter },
+            { $group: { _id: null, amount: sumAsNumber('$withdrawal_amount') } },
+          ]).toArray(),
+          tasksCollection.aggregate([
+            { $match: { 'submissions.submittedAt': { $gte: activeSince } } },
+            { $unwind: '$submissions' },
+            { $match: { 'submissions.submittedAt': { $gte: activeSince } } },
+            { $group: { _id: '$submissions.workerId' } },
+            { $count: 'count' },
+          ]).toArray(),
+        ]);
+
+        return {
+          totalTasks,
+          totalPaidOut: payoutTotals.length ? payoutTotals[0].amount : 0, // Dollars paid out to workers
+          activeWorkers: activeWorkers.length ? activeWorkers[0].count : 0, // Workers who submitted in the last ACTIVE_WORKER_DAYS days
+          activeWorkerDays: ACTIVE_WORKER_DAYS,
+        };
+      });
+
+      res.status(200).json(metrics);
+    } catch (err) {
+      console.error('❌ Error fetching platform metrics:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
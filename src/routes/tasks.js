@@ -0,0 +1,202 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const validate = require('../middleware/validate');
+const { verifyRole, isAdmin } = require('../middleware/auth');
+const { CoinLedgerError } = require('../ledger');
+const { schemas } = require('../schemas');
+const { TASK_STATUS, cancelTask } = require('../taskLifecycle');
+const { UploadError } = require('../uploads');
+
+module.exports = function createTaskRoutes({ collections, ledger, notifier, uploads, idempotent, audit, verifyToken }) {
+  const { tasksCollection } = collections;
+  const { runTransaction, applyCoinChange } = ledger;
+  const router = express.Router();
+
+  // Audit targets for a task deletion: the task and the refunded buyer
+  const taskDeletionTargets = async (req) => {
+    const task = await tasksCollection.findOne({ _id: new ObjectId(req.params.taskId) }, { projection: { userId: 1 } });
+    return [{ type: 'task', id: req.params.taskId }, { type: 'user', id: task && task.userId }];
+  };
+
+  // Task creation route
+  router.post('/api/tasks', verifyToken, verifyRole('buyer'), validate(schemas.createTask), idempotent, async (req, res) => {
+    const { 
+      taskTitle, 
+      taskDetail, 
+      requiredWorkers, 
+      payableAmount, 
+      completionDate, 
+      submissionInfo, 
+      taskImageUrl, 
+      userId, 
+      buyerName // Add buyerName here
+    } = req.body;
+
+    // Buyers can only create tasks for themselves
+    if (userId !== req.user.uid) {
+      return res.status(403).json({ message: 'Forbidden: cannot create tasks for another user' });
+    }
+
+    // The server prices the task; the buyer pays for every worker slot up front
+    const totalCost = requiredWorkers * payableAmount;
+
+    try {
+      const { taskId, coins } = await runTransaction(async (session) => {
+        // Save the task to the database
+        const taskResult = await tasksCollection.insertOne({
+          taskTitle,
+          taskDetail,
+          requiredWorkers, // Open slots; goes down as workers submit
+          totalWorkers: requiredWorkers,
+          payableAmount,
+          completionDate,
+          submissionInfo,
+          taskImageUrl,
+          userId,
+          buyerName, // Store buyerName in the database
+          status: TASK_STATUS.OPEN,
+          createdAt: new Date(),
+        }, { session });
+
+        // Fails the whole transaction (no task is saved) if the buyer can't afford it
+        const balance = await applyCoinChange(session, {
+          uid: userId,
+          amount: -totalCost,
+          reason: 'task_created',
+          referenceId: taskResult.insertedId,
+        });
+
+        // An image uploaded through /api/uploads/images is now in use
+        await uploads.attach(taskImageUrl, userId, session);
+
+        return { taskId: taskResult.insertedId, coins: balance };
+      });
+
+      res.status(201).json({ message: 'Task created successfully', taskId, totalCost, coins });
+    } catch (error) {
+      if (error instanceof CoinLedgerError || error instanceof UploadError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error creating task:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Update task API
+  router.patch('/api/tasks/:taskId', verifyToken, verifyRole('buyer'), validate(schemas.updateTask), async (req, res) => {
+    const { taskId } = req.params;
+    const { taskTitle, taskDetail, submissionInfo, taskImageUrl } = req.body;
+
+    try {
+      const task = await tasksCollection.findOne({ _id: new ObjectId(taskId), removedByBuyer: { $ne: true } });
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      // Buyers can only edit their own tasks
+      if (task.userId !== req.user.uid) {
+        return res.status(403).json({ message: 'Forbidden: you do not own this task' });
+      }
+
+      const changes = { taskTitle, taskDetail, submissionInfo };
+      const imageChanged = taskImageUrl !== undefined && taskImageUrl !== task.taskImageUrl;
+      if (imageChanged) {
+        await uploads.attach(taskImageUrl, req.user.uid);
+        changes.taskImageUrl = taskImageUrl;
+      }
+
+      // Update the task in the database
+      const updatedTask = await tasksCollection.updateOne(
+        { _id: new ObjectId(taskId) },
+        { $set: changes }
+      );
+
+      if (updatedTask.modifiedCount === 0) {
+        return res.status(404).json({ message: 'Task not found or no changes made' });
+      }
+
+      // The replaced image is no longer used anywhere
+      if (imageChanged) await uploads.release(task.taskImageUrl);
+
+      res.status(200).json({ message: 'Task updated successfully' });
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error updating task:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Delete task API: cancel it first so unspent coins go back to the buyer, then mark it removed.
+  // Like a takedown, the document is kept so approved submissions keep their history.
+  router.delete('/api/tasks/:taskId', verifyToken, verifyRole('buyer', 'admin'), validate(schemas.taskIdParam),
+    audit('task.deleted', taskDeletionTargets), async (req, res) => {
+    const { taskId } = req.params;
+
+    try {
+      const task = await tasksCollection.findOne({ _id: new ObjectId(taskId), removedByBuyer: { $ne: true } });
+
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      // Buyers can only delete their own tasks
+      if (!isAdmin(req) && task.userId !== req.user.uid) {
+        return res.status(403).json({ message: 'Forbidden: you do not own this task' });
+      }
+
+      const cancelled = await runTransaction(async (session) => {
+        // Refunds open slots and pending submissions; completed or already-closed tasks have nothing left to refund
+        const result = await cancelTask(session, { collections, ledger }, task._id, { reason: 'task_deleted' });
+
+        const removed = await tasksCollection.updateOne(
+          { _id: task._id, removedByBuyer: { $ne: true } },
+          { $set: { removedByBuyer: true, removedBy: req.user.uid, removedAt: new Date() } },
+          { session }
+        );
+        if (!removed.matchedCount) throw new CoinLedgerError('Task not found', 404);
+
+        if (result && result.affectedWorkerIds.length) {
+          await notifier.notify(result.affectedWorkerIds, {
+            type: 'task_removed',
+            message: `"${task.taskTitle}" was deleted by its buyer and your pending submission was closed`,
+            data: { taskId: task._id },
+          }, session);
+        }
+        return result;
+      });
+
+      res.status(200).json({ message: 'Task deleted successfully', refund: cancelled ? cancelled.refund : 0 });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error deleting task:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Fetch all tasks with a given lifecycle status (e.g., 'open')
+  router.get('/api/tasks/condition', verifyToken, validate(schemas.taskCondition), async (req, res) => {
+    const { status } = req.query;  // Condition can be passed as a query parameter (e.g., status)
+
+    try {
+      // Fetch tasks based on the condition passed (e.g., status: 'open')
+      // Submissions carry other workers' details, so only admins get them
+      const projection = isAdmin(req) ? undefined : { submissions: 0 };
+      const tasks = await tasksCollection.find({ status, removedByBuyer: { $ne: true } }, { projection }).sort({ completionDate: -1 }).toArray();
+
+      if (tasks.length === 0) {
+        return res.status(404).json({ message: `No tasks with status ${status} found` });
+      }
+
+      res.status(200).json({ tasks });
+    } catch (err) {
+      console.error('❌ Error fetching tasks based on condition:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,74 @@
+const express = require('express');
+const multer = require('multer');
+const validate = require('../middleware/validate');
+const { createVerifyIdToken, createRejectSuspended } = require('../middleware/auth');
+const { schemas } = require('../schemas');
+const { ACCEPTED_MIME_TYPES, MAX_UPLOAD_BYTES, UploadError } = require('../uploads');
+
+module.exports = function createUploadRoutes({ collections, uploads, limiters, auth }) {
+  // Any signed-in Firebase user may upload, so a profile picture can be sent before registering,
+  // unless their profile is suspended
+  const verifyIdToken = createVerifyIdToken({ auth });
+  const rejectSuspended = createRejectSuspended(collections);
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+        return cb(new UploadError('Only JPEG, PNG and WebP images are accepted', 415));
+      }
+      cb(null, true);
+    },
+  }).single('image');
+
+  // Run multer and turn its errors into JSON responses
+  const receiveImage = (req, res, next) => upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof UploadError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Image must be at most ${Math.floor(MAX_UPLOAD_BYTES / 1024 / 1024)} MB` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  });
+
+  // Upload a task image (?kind=task) or profile picture (?kind=profile) as multipart field "image".
+  // Use the returned url as taskImageUrl / profilePictureUrl; unused uploads are removed after a day.
+  router.post('/api/uploads/images', verifyIdToken, rejectSuspended, limiters.uploads,
+    validate(schemas.uploadImage), receiveImage, async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Send the image in the "image" field' });
+    }
+
+    try {
+      const image = await uploads.saveImage({
+        buffer: req.file.buffer,
+        ownerUid: req.decodedToken.uid,
+        kind: req.query.kind,
+      });
+
+      res.status(201).json({
+        message: 'Image uploaded',
+        uploadId: image._id,
+        url: image.url,
+        thumbnailUrl: image.thumbnailUrl,
+        width: image.width,
+        height: image.height,
+      });
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error('❌ Error uploading image:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,107 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { verifyRole, isAdmin } = require('../middleware/auth');
+const { CoinLedgerError } = require('../ledger');
+const { schemas } = require('../schemas');
+const { paginate, withdrawalListFilter } = require('../pagination');
+const { serializeAll } = require('../serializers');
+const { COINS_PER_DOLLAR, MIN_WITHDRAWAL_COINS } = require('../config');
+
+module.exports = function createWithdrawalRoutes({ collections, ledger, notifier, mailer, limiters, idempotent, verifyToken }) {
+  const { usersCollection, WithdrawalsCollection } = collections;
+  const { runTransaction, adjustCoinHold } = ledger;
+  const router = express.Router();
+
+  // Withdrawal API route to insert a withdrawal request
+  router.post('/api/withdrawals', verifyToken, verifyRole('worker'), limiters.withdrawals, validate(schemas.createWithdrawal), idempotent, async (req, res) => {
+    const { withdrawal_coin: coins, payment_system, account_number } = req.body;
+
+    try {
+      // The server decides the dollar amount, owner, date and status
+      const withdrawalRecord = {
+        worker_uid: req.user.uid,
+        worker_email: req.user.email,
+        worker_name: req.user.name,
+        withdrawal_coin: coins,
+        withdrawal_amount: Math.round((coins / COINS_PER_DOLLAR) * 100) / 100,
+        payment_system,
+        account_number,
+        withdraw_date: new Date(),
+        status: 'pending',
+        coins_held: true,
+      };
+
+      // Hold the coins and record the request together, so pending withdrawals can't exceed the balance
+      const withdrawalId = await runTransaction(async (session) => {
+        await adjustCoinHold(session, { uid: req.user.uid, coins });
+        const result = await WithdrawalsCollection.insertOne(withdrawalRecord, { session });
+
+        // Confirm to the worker and put the request in front of the admins
+        const data = { withdrawalId: result.insertedId, withdrawal_coin: coins };
+        await notifier.notify(req.user.uid, {
+          type: 'withdrawal_requested',
+          message: `Your withdrawal of ${coins} coins ($${withdrawalRecord.withdrawal_amount}) is pending review`,
+          data,
+        }, session);
+        const admins = await usersCollection.find({ role: 'admin' }, { session, projection: { uid: 1 } }).toArray();
+        await notifier.notify(admins.map(admin => admin.uid), {
+          type: 'withdrawal_pending_review',
+          message: `${req.user.name || req.user.email} requested a withdrawal of ${coins} coins`,
+          data,
+        }, session);
+        await mailer.enqueue('withdrawal_received', req.user.email, {
+          name: req.user.name,
+          coins,
+          amount: withdrawalRecord.withdrawal_amount,
+          paymentSystem: payment_system,
+        }, session);
+
+        return result.insertedId;
+      });
+
+      return res.status(201).json({
+        message: 'Withdrawal request submitted successfully!',
+        withdrawalId,
+        withdrawal_coin: withdrawalRecord.withdrawal_coin,
+        withdrawal_amount: withdrawalRecord.withdrawal_amount,
+      });
+    } catch (err) {
+      if (err instanceof CoinLedgerError) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      // Log error if any and return 500 error to client
+      console.error('Error processing withdrawal:', err);
+      return res.status(500).json({ message: 'Error processing withdrawal' });
+    }
+  });
+
+  // Withdrawal conversion rate and minimum, for the worker withdrawal form
+  router.get('/api/withdrawal-settings', (req, res) => {
+    res.status(200).json({ coinsPerDollar: COINS_PER_DOLLAR, minWithdrawalCoins: MIN_WITHDRAWAL_COINS });
+  });
+
+  // Fetch withdrawals by worker email
+  router.get('/api/withdrawals/:workerEmail', verifyToken, verifyRole('worker', 'admin'), validate(schemas.listWorkerWithdrawals), async (req, res) => {
+    const { workerEmail } = req.params;  // Extract worker_email from request parameters
+
+    // Workers can only read their own withdrawals
+    if (!isAdmin(req) && workerEmail !== req.user.email) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    try {
+      // Query one page of the worker's withdrawals; an empty page is a normal result
+      const filter = { ...withdrawalListFilter(req.query), worker_email: workerEmail };
+      const { items: withdrawals, pagination } = await paginate(WithdrawalsCollection, filter, req.query);
+
+      // Send the list of withdrawals as the response
+      res.status(200).json({ withdrawals: serializeAll('withdrawal', isAdmin(req) ? 'admin' : 'owner', withdrawals), pagination });
+    } catch (err) {
+      // Log any error and send a 500 response
+      console.error('Error fetching withdrawals:', err);
+      res.status(500).json({ message: 'Error fetching withdrawals' });
+    }
+  });
+
+  return router;
+};
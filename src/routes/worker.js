@@ -0,0 +1,260 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const validate = require('../middleware/validate');
+const { verifyRole } = require('../middleware/auth');
+const { schemas } = require('../schemas');
+const { paginate, pageInfo, rangeFilter, compactFilter } = require('../pagination');
+const { TASK_STATUS, ACTIVE_TASK_STATUSES } = require('../taskLifecycle');
+const { projectionFor, serializeAll } = require('../serializers');
+
+// Dates as ISO strings; older documents may hold them as strings, or not at all
+const toIsoString = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+module.exports = function createWorkerRoutes({ collections, notifier, verifyToken }) {
+  const { tasksCollection, WithdrawalsCollection } = collections;
+  const router = express.Router();
+
+  // Fetch tasks a worker can still submit to (open slots, deadline not passed)
+  router.get('/api/worker/tasks', verifyToken, verifyRole('worker'), validate(schemas.listAvailableTasks), async (req, res) => {
+    const { search, minPayable, maxPayable, sortBy } = req.query;
+    const byRelevance = search && sortBy === 'relevance';
+
+    try {
+      const filter = compactFilter({
+        status: { $in: ACTIVE_TASK_STATUSES },
+        requiredWorkers: { $gt: 0 },
+        completionDate: { $gte: new Date() },
+        payableAmount: rangeFilter(minPayable, maxPayable),
+        $text: search ? { $search: search } : undefined,
+      });
+
+      const { items: tasks, pagination } = await paginate(tasksCollection, filter, {
+        ...req.query,
+        sortBy: sortBy === 'relevance' ? 'completionDate' : sortBy,
+        sort: byRelevance ? { score: { $meta: 'textScore' } } : undefined,
+        projection: byRelevance ? { submissions: 0, score: { $meta: 'textScore' } } : { submissions: 0 },
+      });
+
+      res.status(200).json({ tasks, pagination });
+    } catch (err) {
+      console.error('❌ Error fetching available tasks:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Fetch a single task's details for the worker
+  router.get('/api/worker/tasks/:taskId', verifyToken, verifyRole('worker'), validate(schemas.taskIdParam), async (req, res) => {
+    const { taskId } = req.params;
+
+    try {
+      const task = await tasksCollection.findOne(
+        { _id: new ObjectId(taskId) },
+        { projection: { submissions: 0 } }
+      );
+
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      res.status(200).json({ task });
+    } catch (err) {
+      console.error('❌ Error fetching task details:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Submit work for a task; reserves one worker slot on the task
+  router.post('/api/worker/tasks/:taskId/submissions', verifyToken, verifyRole('worker'), validate(schemas.createSubmission), async (req, res) => {
+    const { taskId } = req.params;
+    const { submission_details } = req.body;
+
+    const submission = {
+      _id: new ObjectId(),
+      workerId: req.user.uid,
+      workerEmail: req.user.email,
+      workerName: req.user.name,
+      submission_details,
+      status: 'pending',
+      submittedAt: new Date(),
+    };
+
+    try {
+      // Single conditional update so the slot check, duplicate check and push can't race
+      const task = await tasksCollection.findOneAndUpdate(
+        {
+          _id: new ObjectId(taskId),
+          status: { $in: ACTIVE_TASK_STATUSES },
+          completionDate: { $gte: new Date() },
+          requiredWorkers: { $gt: 0 },
+          'submissions.workerId': { $ne: req.user.uid },
+        },
+        {
+          $push: { submissions: submission },
+          $inc: { requiredWorkers: -1 },
+          // Any submission moves an open task into progress
+          $set: { status: TASK_STATUS.IN_PROGRESS },
+        }
+      );
+
+      if (!task) {
+        // Work out why the update didn't match so the client gets a useful error
+        const existing = await tasksCollection.findOne({ _id: new ObjectId(taskId) });
+        if (!existing) {
+          return res.status(404).json({ message: 'Task not found' });
+        }
+        if ((existing.submissions || []).some(s => s.workerId === req.user.uid)) {
+          return res.status(409).json({ message: 'You have already submitted to this task' });
+        }
+        if (!ACTIVE_TASK_STATUSES.includes(existing.status) || existing.completionDate < new Date()) {
+          return res.status(400).json({ message: 'This task is no longer accepting submissions' });
+        }
+        return res.status(400).json({ message: 'No worker slots left for this task' });
+      }
+
+      // Let the buyer know there is work to review; the submission is saved even if this fails
+      await notifier.notify(task.userId, {
+        type: 'submission_received',
+        message: `${submission.workerName || submission.workerEmail} submitted work for "${task.taskTitle}"`,
+        data: { taskId: task._id, submissionId: submission._id },
+      }).catch(err => console.error('❌ Error notifying buyer of submission:', err));
+
+      res.status(201).json({ message: 'Submission received', submissionId: submission._id });
+    } catch (err) {
+      console.error('❌ Error creating submission:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Fetch the logged-in worker's submissions (paginated, optional ?status= filter)
+  router.get('/api/worker/submissions', verifyToken, verifyRole('worker'), validate(schemas.listSubmissions), async (req, res) => {
+    const { page, limit, status } = req.query;
+
+    const submissionMatch = { 'submissions.workerId': req.user.uid };
+    if (status) submissionMatch['submissions.status'] = status;
+
+    try {
+      const [result] = await tasksCollection.aggregate([
+        { $match: { 'submissions.workerId': req.user.uid } },
+        { $unwind: '$submissions' },
+        { $match: submissionMatch },
+        { $sort: { 'submissions.submittedAt': -1 } },
+        {
+          $facet: {
+            submissions: [
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              {
+                $project: {
+                  _id: '$submissions._id',
+                  taskId: '$_id',
+                  taskTitle: 1,
+                  payableAmount: 1,
+                  buyerName: 1,
+                  submission_details: '$submissions.submission_details',
+                  status: '$submissions.status',
+                  submittedAt: '$submissions.submittedAt',
+                },
+              },
+            ],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]).toArray();
+
+      const total = result.total.length ? result.total[0].count : 0;
+      res.status(200).json({ submissions: result.submissions, pagination: pageInfo(page, limit, total) });
+    } catch (err) {
+      console.error('❌ Error fetching worker submissions:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Worker dashboard: submission counts by status, coins earned from approved work, the current
+  // balance and holds, a page of approved submissions (?page, ?limit) and withdrawal totals
+  router.get('/api/worker-home/:workerEmail', verifyToken, verifyRole('worker'), validate(schemas.workerHome), async (req, res) => {
+    const { workerEmail } = req.params;  // Extract worker_email from request parameters
+    const { page, limit } = req.query;
+
+    if (workerEmail !== req.user.email) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    const { uid } = req.user;
+
+    try {
+      const [[result], withdrawals] = await Promise.all([
+        tasksCollection.aggregate([
+          { $match: { 'submissions.workerId': uid } },
+          { $unwind: '$submissions' },
+          { $match: { 'submissions.workerId': uid } },
+          {
+            $facet: {
+              byStatus: [
+                { $group: { _id: '$submissions.status', count: { $sum: 1 }, coins: { $sum: '$payableAmount' } } },
+              ],
+              approved: [
+                { $match: { 'submissions.status': 'approved' } },
+                { $sort: { 'submissions.reviewedAt': -1, 'submissions._id': 1 } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                {
+                  $project: {
+                    _id: '$submissions._id',
+                    taskId: '$_id',
+                    taskTitle: 1,
+                    buyerName: 1,
+                    coinsEarned: '$payableAmount',
+                    submittedAt: '$submissions.submittedAt',
+                    approvedAt: '$submissions.reviewedAt',
+                  },
+                },
+              ],
+            },
+          },
+        ]).toArray(),
+        WithdrawalsCollection
+          .find({ $or: [{ worker_uid: uid }, { worker_email: workerEmail }] }, { projection: projectionFor('withdrawal', 'owner') })
+          .sort({ withdraw_date: -1 })
+          .toArray(),
+      ]);
+
+      const submissions = { total: 0, pending: 0, approved: 0, rejected: 0 };
+      let totalCoinsEarned = 0;
+      for (const group of result.byStatus) {
+        submissions[group._id] = group.count;
+        submissions.total += group.count;
+        if (group._id === 'approved') totalCoinsEarned = group.coins;
+      }
+
+      const coins = req.user.coins || 0;
+      const heldCoins = req.user.heldCoins || 0;
+      const paidWithdrawals = withdrawals.filter(withdrawal => withdrawal.status === 'payment done');
+
+      res.status(200).json({
+        submissions,
+        totalCoinsEarned,
+        coins,
+        heldCoins, // On hold for pending withdrawals
+        availableCoins: coins - heldCoins,
+        approvedSubmissions: result.approved.map(submission => ({
+          ...submission,
+          submittedAt: toIsoString(submission.submittedAt),
+          approvedAt: toIsoString(submission.approvedAt),
+        })),
+        approvedPagination: pageInfo(page, limit, submissions.approved),
+        totalWithdrawals: withdrawals.length,
+        totalPendingWithdrawals: withdrawals.filter(withdrawal => withdrawal.status === 'pending').length,
+        totalWithdrawn: paidWithdrawals.reduce((total, withdrawal) => total + withdrawal.withdrawal_amount, 0),
+        withdrawals: serializeAll('withdrawal', 'owner', withdrawals),
+      });
+    } catch (err) {
+      console.error('Error fetching worker home data:', err);
+      res.status(500).json({ message: 'Error fetching worker home data' });
+    }
+  });
+
+  return router;
+};
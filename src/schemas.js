@@ -0,0 +1,292 @@
+const Joi = require('joi');
+const { COIN_PACKAGES, MIN_WITHDRAWAL_COINS } = require('./config');
+const { TASK_STATUS } = require('./taskLifecycle');
+
+// Request schemas
+// Each route declares Joi schemas for its params, query and body. Values are
+// coerced where safe ("5" -> 5, ISO strings -> Date) and unknown keys are dropped.
+
+const objectId = () => Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid id',
+  'string.length': '{{#label}} must be a valid id',
+});
+
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+};
+
+// Query keys shared by listing endpoints: page, limit, sortBy (one of `sortFields`) and order
+const listQuery = (sortFields, defaultSortBy, defaultOrder = 'desc') => ({
+  ...pagination,
+  sortBy: Joi.string().valid(...sortFields).default(defaultSortBy),
+  order: Joi.string().valid('asc', 'desc').default(defaultOrder),
+});
+
+const withdrawalListQuery = {
+  ...listQuery(['withdraw_date', 'withdrawal_amount', 'withdrawal_coin'], 'withdraw_date'),
+  status: Joi.string().trim(),
+  payment_system: Joi.string().trim(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number().min(0),
+};
+
+// Query keys shared by the accounting exports; `to` is a whole day (inclusive)
+const exportQuery = {
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  format: Joi.string().valid('csv', 'ndjson').default('csv'),
+};
+
+const schemas = {
+  // uid and email come from the verified Firebase ID token, never from the body
+  register: {
+    body: Joi.object({
+      name: Joi.string().trim().required(),
+      role: Joi.string().valid('worker', 'buyer', 'user').required(),
+      profilePictureUrl: Joi.string().uri(),
+    }),
+  },
+  // Only used when a first login (e.g. Google sign-in) creates the profile
+  login: {
+    body: Joi.object({
+      name: Joi.string().trim(),
+      role: Joi.string().valid('worker', 'buyer', 'user').default('worker'),
+      profilePictureUrl: Joi.string().uri(),
+    }),
+  },
+  emailParam: {
+    params: Joi.object({ email: Joi.string().email().required() }),
+  },
+  workerHome: {
+    params: Joi.object({ workerEmail: Joi.string().email().required() }),
+    query: Joi.object({ ...pagination }),
+  },
+  userIdParam: {
+    params: Joi.object({ userId: Joi.string().required() }),
+  },
+  taskIdParam: {
+    params: Joi.object({ taskId: objectId().required() }),
+  },
+  createTask: {
+    body: Joi.object({
+      taskTitle: Joi.string().trim().required(),
+      taskDetail: Joi.string().trim().required(),
+      requiredWorkers: Joi.number().integer().min(1).required(),
+      payableAmount: Joi.number().integer().min(1).required(),
+      completionDate: Joi.date().iso().greater('now').required(),
+      submissionInfo: Joi.string().trim().allow('').default(''),
+      taskImageUrl: Joi.string().uri().required(),
+      userId: Joi.string().required(),
+      buyerName: Joi.string().trim().required(),
+    }),
+  },
+  updateTask: {
+    params: Joi.object({ taskId: objectId().required() }),
+    body: Joi.object({
+      taskTitle: Joi.string().trim().required(),
+      taskDetail: Joi.string().trim().required(),
+      submissionInfo: Joi.string().trim().required(),
+      taskImageUrl: Joi.string().uri(),
+    }),
+  },
+  updateProfilePicture: {
+    body: Joi.object({ profilePictureUrl: Joi.string().uri().required() }),
+  },
+  uploadImage: {
+    query: Joi.object({ kind: Joi.string().valid('task', 'profile').required() }),
+  },
+  deductCoins: {
+    body: Joi.object({
+      userId: Joi.string().required(),
+      totalCost: Joi.number().integer().min(1).required(),
+    }),
+  },
+  listUsers: {
+    query: Joi.object({
+      ...listQuery(['createdAt', 'name', 'email', 'coins'], 'createdAt'),
+      role: Joi.string().valid('worker', 'buyer', 'admin', 'user'),
+      search: Joi.string().trim().max(100),
+      from: Joi.date().iso(),
+      to: Joi.date().iso(),
+    }),
+  },
+  listTasks: {
+    query: Joi.object({
+      ...listQuery(['createdAt', 'completionDate', 'payableAmount', 'requiredWorkers', 'relevance'], 'createdAt'),
+      status: Joi.string().valid(...Object.values(TASK_STATUS)),
+      buyerId: Joi.string(),
+      search: Joi.string().trim().max(100),
+      from: Joi.date().iso(),
+      to: Joi.date().iso(),
+      minPayable: Joi.number().min(0),
+      maxPayable: Joi.number().min(0),
+    }),
+  },
+  listAvailableTasks: {
+    query: Joi.object({
+      ...listQuery(['completionDate', 'createdAt', 'payableAmount', 'relevance'], 'completionDate', 'asc'),
+      search: Joi.string().trim().max(100),
+      minPayable: Joi.number().min(0),
+      maxPayable: Joi.number().min(0),
+    }),
+  },
+  listWithdrawals: {
+    query: Joi.object(withdrawalListQuery),
+  },
+  listWorkerWithdrawals: {
+    params: Joi.object({ workerEmail: Joi.string().email().required() }),
+    query: Joi.object(withdrawalListQuery),
+  },
+  changeUserRole: {
+    params: Joi.object({ uid: Joi.string().required() }),
+    body: Joi.object({ role: Joi.string().valid('worker', 'buyer', 'admin').required() }),
+  },
+  adjustUserCoins: {
+    params: Joi.object({ uid: Joi.string().required() }),
+    body: Joi.object({
+      amount: Joi.number().integer().invalid(0).required(),
+      reason: Joi.string().trim().min(3).required(),
+    }),
+  },
+  setUserSuspension: {
+    params: Joi.object({ uid: Joi.string().required() }),
+    body: Joi.object({
+      suspended: Joi.boolean().required(),
+      reason: Joi.string().trim().when('suspended', { is: true, then: Joi.required() }),
+    }),
+  },
+  deleteUser: {
+    params: Joi.object({ uid: Joi.string().required() }),
+    query: Joi.object({
+      // What happens to the user's pending withdrawals: void them, or keep them for payout
+      withdrawals: Joi.string().valid('void', 'preserve').default('void'),
+    }),
+  },
+  reportTask: {
+    params: Joi.object({ taskId: objectId().required() }),
+    body: Joi.object({ reason: Joi.string().trim().min(3).max(500).required() }),
+  },
+  listReports: {
+    query: Joi.object({
+      ...pagination,
+      status: Joi.string().valid('open', 'dismissed', 'actioned').default('open'),
+    }),
+  },
+  dismissReports: {
+    params: Joi.object({ taskId: objectId().required() }),
+    body: Joi.object({ note: Joi.string().trim().allow('').default('') }),
+  },
+  takedownTask: {
+    params: Joi.object({ taskId: objectId().required() }),
+    body: Joi.object({ reason: Joi.string().trim().min(3).required() }),
+  },
+  taskCondition: {
+    query: Joi.object({ status: Joi.string().valid(...Object.values(TASK_STATUS)).required() }),
+  },
+  reviewSubmission: {
+    params: Joi.object({
+      taskId: objectId().required(),
+      submissionId: objectId().required(),
+    }),
+  },
+  createSubmission: {
+    params: Joi.object({ taskId: objectId().required() }),
+    body: Joi.object({ submission_details: Joi.string().trim().required() }),
+  },
+  listSubmissions: {
+    query: Joi.object({
+      ...pagination,
+      status: Joi.string().valid('pending', 'approved', 'rejected'),
+    }),
+  },
+  leaderboard: {
+    query: Joi.object({
+      by: Joi.string().valid('coins', 'approvals').default('coins'),
+      limit: Joi.number().integer().min(1).max(50).default(10),
+    }),
+  },
+  listApprovedSubmissions: {
+    query: Joi.object({
+      ...pagination,
+      taskId: objectId(),
+    }),
+  },
+  listNotifications: {
+    query: Joi.object({
+      ...pagination,
+      unread: Joi.boolean(),
+    }),
+  },
+  notificationIdParam: {
+    params: Joi.object({ notificationId: objectId().required() }),
+  },
+  createWithdrawal: {
+    body: Joi.object({
+      withdrawal_coin: Joi.number().integer().min(MIN_WITHDRAWAL_COINS).required()
+        .messages({ 'number.min': `Minimum withdrawal is ${MIN_WITHDRAWAL_COINS} coins` }),
+      payment_system: Joi.string().trim().required(),
+      account_number: Joi.string().trim().required(),
+    }),
+  },
+  paymentSuccess: {
+    body: Joi.object({
+      withdrawalId: objectId().required(),
+      paymentInfo: Joi.alternatives().try(Joi.string().trim(), Joi.object().unknown(true)).required(),
+    }),
+  },
+  rejectWithdrawal: {
+    params: Joi.object({ withdrawalId: objectId().required() }),
+    body: Joi.object({ reason: Joi.string().trim().required() }),
+  },
+  statsTimeseries: {
+    query: Joi.object({
+      from: Joi.date().iso(),
+      to: Joi.date().iso().min(Joi.ref('from')),
+      interval: Joi.string().valid('day', 'week').default('day'),
+    }),
+  },
+  listAuditLog: {
+    query: Joi.object({
+      ...pagination,
+      actorUid: Joi.string().trim(),
+      action: Joi.string().trim(),
+      targetType: Joi.string().valid('user', 'task', 'submission', 'withdrawal', 'reports'),
+      targetId: Joi.string().trim(),
+      from: Joi.date().iso(),
+      to: Joi.date().iso(),
+      format: Joi.string().valid('json', 'csv').default('json'),
+    }),
+  },
+  exportPayments: {
+    query: Joi.object({
+      ...exportQuery,
+      type: Joi.string().valid('coin_purchase', 'withdrawal_payout'),
+      payment_system: Joi.string().trim(),
+      fullAccountNumbers: Joi.boolean().default(false),
+    }),
+  },
+  exportWithdrawals: {
+    query: Joi.object({
+      ...exportQuery,
+      status: Joi.string().valid('pending', 'payment done', 'rejected', 'voided'),
+      payment_system: Joi.string().trim(),
+      fullAccountNumbers: Joi.boolean().default(false),
+    }),
+  },
+  workerStatement: {
+    query: Joi.object({
+      ...exportQuery,
+      status: Joi.string().valid('pending', 'payment done', 'rejected', 'voided'),
+    }),
+  },
+  createPaymentIntent: {
+    body: Joi.object({
+      packageId: Joi.string().valid(...COIN_PACKAGES.map(pkg => pkg.id)).required(),
+    }),
+  },
+};
+
+module.exports = { schemas, objectId, pagination, listQuery };
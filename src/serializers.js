@@ -0,0 +1,92 @@
+// Response serializers. Every user, withdrawal and payment leaving the API goes through one of
+// these views, each an explicit allowlist of fields, so new or sensitive document fields
+// (password hashes, payout details) are never exposed by default.
+//   public - what other users, or anyone on the public pages, may see about someone
+//   owner  - the user's own records
+//   admin  - everything an admin needs to run the platform
+
+// Show only the last 4 characters of a payout account number
+function maskAccountNumber(accountNumber) {
+  if (accountNumber === undefined || accountNumber === null) return accountNumber;
+  const text = String(accountNumber);
+  if (text.length <= 4) return '•'.repeat(text.length);
+  return `${'•'.repeat(text.length - 4)}${text.slice(-4)}`;
+}
+
+const USER_PUBLIC = ['name', 'role', 'profilePictureUrl'];
+const USER_OWNER = ['_id', 'uid', ...USER_PUBLIC, 'email', 'coins', 'heldCoins', 'createdAt', 'lastLoginAt'];
+const USER_ADMIN = [...USER_OWNER, 'suspended', 'suspensionReason', 'suspendedAt', 'suspendedBy', 'roleChangedAt', 'roleChangedBy'];
+
+const WITHDRAWAL_OWNER = [
+  '_id', 'withdrawal_coin', 'withdrawal_amount', 'payment_system', 'account_number',
+  'withdraw_date', 'status', 'rejection_reason',
+];
+const WITHDRAWAL_ADMIN = [
+  ...WITHDRAWAL_OWNER, 'worker_uid', 'worker_email', 'worker_name', 'coins_held', 'worker_deleted',
+  'rejected_by', 'rejected_at', 'voided_at', 'voided_reason',
+];
+
+// A worker's submission as the buyer reviewing it sees it; the worker's contact details stay private
+const SUBMISSION_PUBLIC = ['_id', 'workerName', 'submission_details', 'status', 'submittedAt'];
+
+const PAYMENT_OWNER = [
+  '_id', 'type', 'status', 'payment_date',
+  // Coin purchases
+  'package_id', 'coins', 'amount', 'currency',
+  // Withdrawal payouts
+  'withdrawal_coin', 'withdrawal_amount', 'payment_system', 'account_number', 'withdraw_date',
+];
+const PAYMENT_ADMIN = [
+  ...PAYMENT_OWNER, 'buyer_uid', 'buyer_email', 'buyer_name', 'payment_intent_id',
+  'worker_email', 'worker_name', 'payment_info',
+];
+
+// Fields per view, and which of them are masked in that view. Admins see withdrawal account
+// numbers in full because they need them to pay out; completed payments stay masked.
+const VIEWS = {
+  user: {
+    public: { fields: USER_PUBLIC },
+    owner: { fields: USER_OWNER },
+    admin: { fields: USER_ADMIN },
+  },
+  withdrawal: {
+    owner: { fields: WITHDRAWAL_OWNER, masked: ['account_number'] },
+    admin: { fields: WITHDRAWAL_ADMIN },
+  },
+  submission: {
+    public: { fields: SUBMISSION_PUBLIC },
+  },
+  payment: {
+    owner: { fields: PAYMENT_OWNER, masked: ['account_number'] },
+    admin: { fields: PAYMENT_ADMIN, masked: ['account_number'] },
+  },
+};
+
+const getView = (resource, view) => {
+  const definition = VIEWS[resource] && VIEWS[resource][view];
+  if (!definition) throw new Error(`Unknown view: ${resource}.${view}`);
+  return definition;
+};
+
+// Mongo projection with just the view's fields, so the rest never leaves the database
+function projectionFor(resource, view) {
+  return Object.fromEntries(getView(resource, view).fields.map(field => [field, 1]));
+}
+
+// Copy the view's fields from `doc`, masking the sensitive ones
+function serialize(resource, view, doc) {
+  if (!doc) return doc;
+  const { fields, masked = [] } = getView(resource, view);
+
+  const result = {};
+  for (const field of fields) {
+    if (doc[field] === undefined) continue;
+    result[field] = masked.includes(field) ? maskAccountNumber(doc[field]) : doc[field];
+  }
+  return result;
+}
+
+// Serialize a list of documents with the same view
+const serializeAll = (resource, view, docs) => docs.map(doc => serialize(resource, view, doc));
+
+module.exports = { maskAccountNumber, projectionFor, serialize, serializeAll };
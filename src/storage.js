@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File storage adapters. An adapter stores objects under a key and serves them from a public URL:
+//   put(key, buffer, contentType) -> url
+//   remove(key)                   -> resolves even if the object is already gone
+//   keyFromUrl(url)               -> the key for a URL this adapter produced, or null
+
+// Local disk, served by the app under `publicPath` (see createApp)
+function createLocalStorage({ dir, baseUrl, publicPath = '/uploads' }) {
+  const prefix = `${baseUrl.replace(/\/$/, '')}${publicPath}/`;
+  // Keys are generated by us, but never let one escape `dir`
+  const resolve = (key) => {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+    dir,
+    publicPath,
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return prefix + key;
+    },
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+    keyFromUrl: (url) => (typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null),
+  };
+}
+
+// A Google Cloud Storage bucket, e.g. firebase-admin's storage().bucket()
+function createBucketStorage({ bucket }) {
+  const prefix = `https://storage.googleapis.com/${bucket.name}/`;
+
+  return {
+    name: 'bucket',
+    async put(key, buffer, contentType) {
+      await bucket.file(key).save(buffer, {
+        resumable: false,
+        public: true,
+        contentType,
+        metadata: { cacheControl: 'public, max-age=31536000, immutable' }, // Keys are never reused
+      });
+      return prefix + key;
+    },
+    async remove(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    },
+    keyFromUrl: (url) => (typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null),
+  };
+}
+
+// Pick an adapter from STORAGE_DRIVER (local | bucket). `getBucket` supplies the bucket for the
+// bucket driver, so this module doesn't depend on firebase-admin.
+function createStorageFromEnv({ env = process.env, getBucket } = {}) {
+  const driver = env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        dir: env.UPLOAD_DIR || path.resolve('uploads'),
+        baseUrl: env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 3000}`,
+      });
+    case 'bucket':
+      return createBucketStorage({ bucket: getBucket(env.STORAGE_BUCKET) });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = { createLocalStorage, createBucketStorage, createStorageFromEnv };
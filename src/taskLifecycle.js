@@ -0,0 +1,204 @@
+// Task lifecycle
+// open -> in_progress -> completed, driven by submissions and approvals.
+// expired (deadline passed) and cancelled are exits from either active state; an expired
+// task can still be cancelled so its pending submissions are closed out and refunded.
+
+const TASK_STATUS = {
+  OPEN: 'open',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+};
+
+// Statuses a task can still receive submissions in
+const ACTIVE_TASK_STATUSES = [TASK_STATUS.OPEN, TASK_STATUS.IN_PROGRESS];
+
+const TRANSITIONS = {
+  [TASK_STATUS.OPEN]: [TASK_STATUS.IN_PROGRESS, TASK_STATUS.EXPIRED, TASK_STATUS.CANCELLED],
+  // A rejection can free the last filled slot and send the task back to open
+  [TASK_STATUS.IN_PROGRESS]: [TASK_STATUS.OPEN, TASK_STATUS.COMPLETED, TASK_STATUS.EXPIRED, TASK_STATUS.CANCELLED],
+  [TASK_STATUS.COMPLETED]: [],
+  [TASK_STATUS.EXPIRED]: [TASK_STATUS.CANCELLED],
+  [TASK_STATUS.CANCELLED]: [],
+};
+
+const canTransition = (from, to) => from === to || (TRANSITIONS[from] || []).includes(to);
+
+// The status an active task should be in, given its slots and submissions
+function deriveTaskStatus(task) {
+  if (!ACTIVE_TASK_STATUSES.includes(task.status)) return task.status;
+
+  const submissions = task.submissions || [];
+  const approved = submissions.filter(submission => submission.status === 'approved').length;
+  const pending = submissions.filter(submission => submission.status === 'pending').length;
+
+  if (approved >= task.totalWorkers) return TASK_STATUS.COMPLETED;
+  if (approved + pending > 0) return TASK_STATUS.IN_PROGRESS;
+  return TASK_STATUS.OPEN;
+}
+
+// Re-derive a task's status after a submission change and save it if it moved
+async function syncTaskStatus(tasksCollection, taskId, session) {
+  const task = await tasksCollection.findOne({ _id: taskId }, { session });
+  if (!task) return null;
+
+  const nextStatus = deriveTaskStatus(task);
+  if (nextStatus !== task.status && canTransition(task.status, nextStatus)) {
+    await tasksCollection.updateOne(
+      { _id: task._id, status: task.status },
+      { $set: { status: nextStatus, statusChangedAt: new Date() } },
+      { session }
+    );
+  }
+  return nextStatus;
+}
+
+// Give back the slot of a rejected or withdrawn submission: reopen it while the task is active,
+// otherwise refund the slot's coins to the buyer
+async function releaseSubmissionSlot(session, { collections, ledger }, task, submissionId) {
+  const { tasksCollection } = collections;
+
+  if (ACTIVE_TASK_STATUSES.includes(task.status)) {
+    await tasksCollection.updateOne({ _id: task._id }, { $inc: { requiredWorkers: 1 } }, { session });
+    await syncTaskStatus(tasksCollection, task._id, session);
+  } else {
+    await ledger.applyCoinChange(session, {
+      uid: task.userId,
+      amount: task.payableAmount,
+      reason: 'submission_slot_refund',
+      referenceId: submissionId,
+    });
+  }
+}
+
+// Cancel an active or expired task: reject its pending submissions and refund every coin not
+// yet paid out (open slots plus pending submissions) to the buyer.
+// Returns { task, refund, affectedWorkerIds }, or null if the task can't be cancelled.
+async function cancelTask(session, { collections, ledger }, taskId, { reason }) {
+  const { tasksCollection } = collections;
+
+  const task = await tasksCollection.findOne(
+    { _id: taskId, status: { $in: [...ACTIVE_TASK_STATUSES, TASK_STATUS.EXPIRED] } },
+    { session }
+  );
+  if (!task) return null;
+
+  const now = new Date();
+  const pending = (task.submissions || []).filter(submission => submission.status === 'pending');
+
+  const update = {
+    $set: {
+      status: TASK_STATUS.CANCELLED,
+      requiredWorkers: 0,
+      statusChangedAt: now,
+      cancellationReason: reason,
+    },
+  };
+  const options = { session };
+  if (pending.length) {
+    update.$set['submissions.$[pending].status'] = 'rejected';
+    update.$set['submissions.$[pending].reviewedAt'] = now;
+    options.arrayFilters = [{ 'pending.status': 'pending' }];
+  }
+  await tasksCollection.updateOne({ _id: task._id, status: task.status }, update, options);
+
+  const refund = (task.requiredWorkers + pending.length) * task.payableAmount;
+  if (refund > 0) {
+    await ledger.applyCoinChange(session, { uid: task.userId, amount: refund, reason: 'task_cancelled_refund', referenceId: task._id });
+  }
+
+  return { task, refund, affectedWorkerIds: pending.map(submission => submission.workerId) };
+}
+
+// Expire active tasks whose completionDate has passed and refund their unused slots to the buyer.
+// Pending submissions stay reviewable; their coins remain reserved until the buyer decides.
+async function expireOverdueTasks({ collections, ledger }) {
+  const { tasksCollection } = collections;
+  const { runTransaction, applyCoinChange } = ledger;
+
+  const overdue = await tasksCollection
+    .find({ status: { $in: ACTIVE_TASK_STATUSES }, completionDate: { $lt: new Date() } })
+    .project({ _id: 1 })
+    .toArray();
+
+  let expired = 0;
+  for (const { _id } of overdue) {
+    try {
+      await runTransaction(async (session) => {
+        const task = await tasksCollection.findOneAndUpdate(
+          { _id, status: { $in: ACTIVE_TASK_STATUSES } },
+          { $set: { status: TASK_STATUS.EXPIRED, requiredWorkers: 0, statusChangedAt: new Date() } },
+          { session }
+        );
+        if (!task) return; // Changed state since we looked
+
+        const refund = task.requiredWorkers * task.payableAmount;
+        if (refund > 0) {
+          await applyCoinChange(session, { uid: task.userId, amount: refund, reason: 'task_expired_refund', referenceId: task._id });
+        }
+        expired += 1;
+      });
+    } catch (err) {
+      console.error('❌ Error expiring task:', _id, err);
+    }
+  }
+  return expired;
+}
+
+// Run expireOverdueTasks now and then every `intervalMs`; returns a function that stops the job
+function startTaskExpiryJob({ collections, ledger, intervalMs }) {
+  const run = () => expireOverdueTasks({ collections, ledger })
+    .then(count => {
+      if (count) console.log(`⏰ Expired ${count} overdue task(s)`);
+    })
+    .catch(err => console.error('❌ Task expiry job failed:', err));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// One-off data fixes for tasks created before the lifecycle existed:
+// string completionDates become Dates, and missing status/totalWorkers are filled in.
+async function backfillTaskLifecycle(tasksCollection) {
+  await tasksCollection.updateMany(
+    { completionDate: { $type: 'string' } },
+    [{ $set: { completionDate: { $convert: { input: '$completionDate', to: 'date', onError: '$completionDate' } } } }]
+  );
+  await tasksCollection.updateMany(
+    { totalWorkers: { $exists: false } },
+    [{
+      $set: {
+        totalWorkers: {
+          $add: [
+            '$requiredWorkers',
+            { $size: { $filter: { input: { $ifNull: ['$submissions', []] }, cond: { $in: ['$$this.status', ['pending', 'approved']] } } } },
+          ],
+        },
+      },
+    }]
+  );
+  await tasksCollection.updateMany(
+    { status: { $nin: Object.values(TASK_STATUS) } },
+    { $set: { status: TASK_STATUS.OPEN } }
+  );
+  await tasksCollection.updateMany(
+    { status: TASK_STATUS.OPEN, 'submissions.status': { $in: ['pending', 'approved'] } },
+    { $set: { status: TASK_STATUS.IN_PROGRESS } }
+  );
+}
+
+module.exports = {
+  TASK_STATUS,
+  ACTIVE_TASK_STATUSES,
+  canTransition,
+  deriveTaskStatus,
+  syncTaskStatus,
+  releaseSubmissionSlot,
+  cancelTask,
+  expireOverdueTasks,
+  startTaskExpiryJob,
+  backfillTaskLifecycle,
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Uploaded images. Each upload is re-encoded (which drops EXIF and other metadata), stored with a
+// thumbnail through the storage adapter, and tracked in the uploads collection:
+//   unattached - uploaded but not yet used by a task or profile; removed after UNATTACHED_TTL_MS
+//   attached   - referenced by a task or profile; removed when that image is replaced or deleted
+
+const ACCEPTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+const MAX_IMAGE_SIDE = 1600;
+const THUMBNAIL_SIDE = 320;
+const UNATTACHED_TTL_MS = 24 * 60 * 60 * 1000;
+
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+function createImageUploads({ collections, storage }) {
+  const { UploadsCollection } = collections;
+
+  // Decode the image (so a wrong Content-Type can't smuggle in something else), apply its EXIF
+  // rotation, and re-encode it and a square thumbnail as WebP without metadata
+  async function processImage(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (err) {
+      throw new UploadError('File is not a valid image');
+    }
+    if (!['jpeg', 'png', 'webp'].includes(metadata.format)) {
+      throw new UploadError('Only JPEG, PNG and WebP images are accepted');
+    }
+
+    const image = sharp(buffer).rotate();
+    const [main, thumbnail] = await Promise.all([
+      image.clone()
+        .resize(MAX_IMAGE_SIDE, MAX_IMAGE_SIDE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true }),
+      image.clone()
+        .resize(THUMBNAIL_SIDE, THUMBNAIL_SIDE, { fit: 'cover' })
+        .webp({ quality: 75 })
+        .toBuffer(),
+    ]);
+    return { main, thumbnail };
+  }
+
+  // Store an uploaded image for `ownerUid`; `kind` is 'task' or 'profile'
+  async function saveImage({ buffer, ownerUid, kind }) {
+    const { main, thumbnail } = await processImage(buffer);
+
+    const id = crypto.randomUUID();
+    const key = `${kind}/${ownerUid}/${id}.webp`;
+    const thumbnailKey = `${kind}/${ownerUid}/${id}-thumb.webp`;
+    const [url, thumbnailUrl] = await Promise.all([
+      storage.put(key, main.data, 'image/webp'),
+      storage.put(thumbnailKey, thumbnail, 'image/webp'),
+    ]);
+
+    const upload = {
+      ownerUid,
+      kind,
+      key,
+      thumbnailKey,
+      url,
+      thumbnailUrl,
+      contentType: 'image/webp',
+      size: main.info.size,
+      width: main.info.width,
+      height: main.info.height,
+      status: 'unattached',
+      createdAt: new Date(),
+    };
+    const result = await UploadsCollection.insertOne(upload);
+    return { _id: result.insertedId, ...upload };
+  }
+
+  // Mark the upload behind `url` as in use by its owner. URLs hosted elsewhere are left alone,
+  // but one of our uploads can only be used by the user who uploaded it, and only in one place,
+  // since replacing or deleting that image removes the files.
+  async function attach(url, ownerUid, session) {
+    if (!url || !storage.keyFromUrl(url)) return;
+
+    const result = await UploadsCollection.updateOne(
+      { url, ownerUid, status: 'unattached' },
+      { $set: { status: 'attached', attachedAt: new Date() } },
+      { session }
+    );
+    if (!result.matchedCount) {
+      const existing = await UploadsCollection.findOne({ url, ownerUid }, { session, projection: { _id: 1 } });
+      if (existing) throw new UploadError('Image upload is already in use', 409);
+      throw new UploadError('Image upload not found', 404);
+    }
+  }
+
+  // Delete the upload behind `url` and its files; a no-op for URLs hosted elsewhere.
+  // Best-effort: call it after the change that stopped using the image has been saved.
+  async function release(url) {
+    if (!url || !storage.keyFromUrl(url)) return;
+
+    try {
+      const upload = await UploadsCollection.findOneAndDelete({ url });
+      if (upload) {
+        await Promise.all([storage.remove(upload.key), storage.remove(upload.thumbnailKey)]);
+      }
+    } catch (err) {
+      console.error('❌ Error removing image upload:', url, err);
+    }
+  }
+
+  // Remove uploads that were never attached to anything
+  async function removeStaleUploads() {
+    const stale = await UploadsCollection
+      .find({ status: 'unattached', createdAt: { $lt: new Date(Date.now() - UNATTACHED_TTL_MS) } })
+      .project({ url: 1 })
+      .toArray();
+    for (const { url } of stale) {
+      await release(url);
+    }
+    return stale.length;
+  }
+
+  return { saveImage, attach, release, removeStaleUploads };
+}
+
+// Run removeStaleUploads now and then every `intervalMs`; returns a function that stops the job
+function startUploadCleanupJob({ uploads, intervalMs }) {
+  const run = () => uploads.removeStaleUploads()
+    .then(count => {
+      if (count) console.log(`🧹 Removed ${count} unused image upload(s)`);
+    })
+    .catch(err => console.error('❌ Upload cleanup job failed:', err));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  ACCEPTED_MIME_TYPES,
+  MAX_UPLOAD_BYTES,
+  UploadError,
+  createImageUploads,
+  startUploadCleanupJob,
+};
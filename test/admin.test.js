@@ -0,0 +1,208 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestContext } = require('./helpers');
+
+describe('admin routes', () => {
+  let ctx;
+  let admin;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(async () => {
+    await ctx.reset();
+    admin = await ctx.createUser({ role: 'admin' });
+  });
+
+  const auditEntry = (action) => ctx.eventually(async () => {
+    const entry = await ctx.collections.AuditLogCollection.findOne({ action });
+    assert.ok(entry, `no audit entry for ${action}`);
+    return entry;
+  });
+
+  describe('user listing', () => {
+    it('pages, filters and searches users without leaking private fields', async () => {
+      await ctx.createUser({ role: 'worker', name: 'Alice Worker', password: 'old-hash' });
+      await ctx.createUser({ role: 'worker', name: 'Bob Worker' });
+      await ctx.createUser({ role: 'buyer', name: 'Alice Buyer' });
+
+      const res = await ctx.request('GET', '/api/admin/users?role=worker&search=alice', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.pagination.total, 1);
+      assert.equal(res.body.users[0].name, 'Alice Worker');
+      assert.equal(res.body.users[0].password, undefined);
+    });
+
+    it('serves the same list on /api/users', async () => {
+      const res = await ctx.request('GET', '/api/users?limit=5', { token: admin.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.pagination.limit, 5);
+    });
+  });
+
+  describe('stats', () => {
+    it('totals users, coins, tasks and payments', async () => {
+      const buyer = await ctx.createUser({ role: 'buyer', coins: 40 });
+      await ctx.createUser({ role: 'worker', coins: 15 });
+      await ctx.createTask(buyer);
+      await ctx.collections.PaymentsCollection.insertMany([
+        { type: 'withdrawal_payout', withdrawal_amount: 10, withdrawal_coin: 200, payment_date: new Date() },
+        { type: 'coin_purchase', amount: 10, coins: 150, status: 'succeeded', payment_date: new Date() },
+        { type: 'coin_purchase', amount: 5, coins: 0, status: 'amount_mismatch', payment_date: new Date() },
+      ]);
+
+      const res = await ctx.request('GET', '/api/admin/stats', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalWorkers, 1);
+      assert.equal(res.body.totalBuyers, 1);
+      assert.equal(res.body.totalCoins, 55);
+      assert.equal(res.body.totalTasks, 1);
+      assert.deepEqual(res.body.payouts, { count: 1, amount: 10, coins: 200 });
+      assert.deepEqual(res.body.coinPurchases, { count: 1, amount: 10, coins: 150 });
+    });
+
+    it('buckets the time series by day', async () => {
+      const res = await ctx.request('GET', '/api/admin/stats/timeseries?interval=day', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.series.signups.length, 1);
+      assert.equal(res.body.series.signups[0].count, 1);
+    });
+
+    it('lists every task for admins', async () => {
+      const buyer = await ctx.createUser({ role: 'buyer' });
+      await ctx.createTask(buyer, { status: 'open' });
+      await ctx.createTask(buyer, { status: 'cancelled' });
+
+      const res = await ctx.request('GET', `/api/admin/tasks?buyerId=${buyer.uid}&status=cancelled`, { token: admin.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.pagination.total, 1);
+    });
+  });
+
+  describe('coins', () => {
+    it('deduct-coins debits through the ledger and never below zero', async () => {
+      const buyer = await ctx.createUser({ role: 'buyer', coins: 30 });
+
+      const res = await ctx.request('PATCH', '/api/users/deduct-coins', { token: admin.token, body: { userId: buyer.uid, totalCost: 20 } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.coins, 10);
+
+      const tooMuch = await ctx.request('PATCH', '/api/users/deduct-coins', { token: admin.token, body: { userId: buyer.uid, totalCost: 20 } });
+      assert.equal(tooMuch.status, 400);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 10);
+    });
+
+    it('adjusts a balance with a reason and audits it', async () => {
+      const worker = await ctx.createUser({ role: 'worker', coins: 5 });
+
+      const res = await ctx.request('PATCH', `/api/admin/users/${worker.uid}/coins`, {
+        token: admin.token,
+        body: { amount: 20, reason: 'Goodwill credit' },
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.coins, 25);
+      const entry = await auditEntry('user.coins_adjusted');
+      assert.deepEqual(entry.targets[0], { type: 'user', id: worker.uid, before: { coins: 5 }, after: { coins: 25 } });
+    });
+
+    it('reconciles balances against the ledger and reports drift', async () => {
+      await ctx.createUser({ role: 'worker', coins: 20 });
+      const drifted = await ctx.createUser({ role: 'worker', coins: 10 });
+      await ctx.collections.usersCollection.updateOne({ uid: drifted.uid }, { $inc: { coins: 5 } });
+
+      const res = await ctx.request('GET', '/api/admin/coins/reconcile', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.usersChecked, 3);
+      assert.deepEqual(res.body.drift.map(entry => [entry.uid, entry.difference]), [[drifted.uid, 5]]);
+    });
+  });
+
+  describe('user management', () => {
+    it('changes roles, but not the admin\'s own', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+
+      const res = await ctx.request('PATCH', `/api/admin/users/${worker.uid}/role`, { token: admin.token, body: { role: 'buyer' } });
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.getUser(worker.uid)).role, 'buyer');
+
+      const self = await ctx.request('PATCH', `/api/admin/users/${admin.uid}/role`, { token: admin.token, body: { role: 'worker' } });
+      assert.equal(self.status, 400);
+    });
+
+    it('suspends a user, who is then locked out', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+
+      const res = await ctx.request('PATCH', `/api/admin/users/${worker.uid}/suspension`, {
+        token: admin.token,
+        body: { suspended: true, reason: 'Spam submissions' },
+      });
+      assert.equal(res.status, 200);
+
+      const locked = await ctx.request('GET', '/api/notifications', { token: worker.token });
+      assert.equal(locked.status, 403);
+    });
+
+    it('deletes a buyer, refunding and cancelling their tasks first', async () => {
+      const buyer = await ctx.createUser({ role: 'buyer', coins: 10 });
+      const task = await ctx.createTask(buyer, { requiredWorkers: 2, payableAmount: 5 });
+
+      const res = await ctx.request('DELETE', `/api/admin/users/${buyer.uid}`, { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.cancelledTasks, 1);
+      assert.equal(res.body.refundedCoins, 10);
+      assert.equal(await ctx.getUser(buyer.uid), null);
+      assert.equal((await ctx.collections.tasksCollection.findOne({ _id: task._id })).status, 'cancelled');
+      assert.deepEqual(ctx.auth.deletedUids, [buyer.uid]);
+
+      // The written-off balance keeps the ledger summing to zero
+      const entries = await ctx.collections.CoinTransactionsCollection.find({ uid: buyer.uid }).toArray();
+      assert.equal(entries.reduce((sum, entry) => sum + entry.amount, 0), 0);
+    });
+
+    it('voids a deleted worker\'s pending withdrawals', async () => {
+      const worker = await ctx.createUser({ role: 'worker', coins: 300, heldCoins: 200 });
+      const { insertedId } = await ctx.collections.WithdrawalsCollection.insertOne({
+        worker_uid: worker.uid, worker_email: worker.email, withdrawal_coin: 200, status: 'pending', coins_held: true, withdraw_date: new Date(),
+      });
+
+      const res = await ctx.request('DELETE', `/api/admin/users/${worker.uid}`, { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.voidedWithdrawals, 1);
+      assert.equal((await ctx.collections.WithdrawalsCollection.findOne({ _id: insertedId })).status, 'voided');
+    });
+  });
+
+  describe('audit log', () => {
+    it('lists entries with filters and exports them as CSV', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+      await ctx.request('PATCH', `/api/admin/users/${worker.uid}/role`, { token: admin.token, body: { role: 'buyer' } });
+      await auditEntry('user.role_changed');
+
+      const res = await ctx.request('GET', `/api/admin/audit-log?targetId=${worker.uid}`, { token: admin.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.entries.length, 1);
+      assert.deepEqual(res.body.entries[0].targets[0].after, { role: 'buyer' });
+
+      const csv = await ctx.request('GET', '/api/admin/audit-log?format=csv', { token: admin.token });
+      assert.equal(csv.status, 200);
+      assert.match(csv.headers.get('content-type'), /text\/csv/);
+      assert.equal(csv.body.trim().split('\r\n').length, 2);
+    });
+
+    it('does not log failed actions', async () => {
+      const res = await ctx.request('PATCH', `/api/admin/users/${new ObjectId()}/role`, { token: admin.token, body: { role: 'buyer' } });
+      assert.equal(res.status, 404);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.equal(await ctx.collections.AuditLogCollection.countDocuments(), 0);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { RATE_LIMITS } = require('../src/config');
+const { createTestContext } = require('./helpers');
+
+describe('registration and login', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(() => ctx.reset());
+
+  describe('POST /api/register', () => {
+    it('creates the profile from the token and credits the signup bonus through the ledger', async () => {
+      const token = ctx.auth.addIdentity('new-buyer', { email: 'new-buyer@example.com' });
+      const res = await ctx.request('POST', '/api/register', { token, body: { name: 'New Buyer', role: 'buyer' } });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.user.uid, 'new-buyer');
+      assert.equal(res.body.user.coins, 50);
+      assert.equal(res.body.user.password, undefined);
+
+      const ledger = await ctx.collections.CoinTransactionsCollection.find({ uid: 'new-buyer' }).toArray();
+      assert.deepEqual(ledger.map(entry => [entry.reason, entry.amount, entry.balanceAfter]), [['signup_bonus', 50, 50]]);
+
+      await ctx.eventually(() => assert.equal(ctx.mailTransport.sent.length, 1));
+      assert.equal(ctx.mailTransport.sent[0].to, 'new-buyer@example.com');
+    });
+
+    it('does not pay the bonus twice when the same account registers again', async () => {
+      const token = ctx.auth.addIdentity('repeat', { email: 'repeat@example.com' });
+      await ctx.request('POST', '/api/register', { token, body: { name: 'Repeat', role: 'worker' } });
+      const res = await ctx.request('POST', '/api/register', { token, body: { name: 'Repeat', role: 'worker' } });
+
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.getUser('repeat')).coins, 10);
+    });
+
+    it('keeps a suspended account out instead of returning its profile', async () => {
+      const worker = await ctx.createUser({ role: 'worker', suspended: true });
+      const res = await ctx.request('POST', '/api/register', { token: worker.token, body: { name: 'Again', role: 'worker' } });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.user, undefined);
+    });
+
+    it('rejects an email that belongs to another account', async () => {
+      await ctx.createUser({ uid: 'owner', email: 'taken@example.com' });
+      const token = ctx.auth.addIdentity('intruder', { email: 'taken@example.com' });
+      const res = await ctx.request('POST', '/api/register', { token, body: { name: 'Intruder', role: 'buyer' } });
+      assert.equal(res.status, 409);
+    });
+
+    it('limits registrations per device', async () => {
+      const statuses = [];
+      for (let i = 0; i < 4; i += 1) {
+        const token = ctx.auth.addIdentity(`farm-${i}`, { email: `farm-${i}@example.com` });
+        const res = await ctx.request('POST', '/api/register', {
+          token,
+          headers: { 'X-Device-Id': 'device-1' },
+          body: { name: 'Farm', role: 'buyer' },
+        });
+        statuses.push(res.status);
+      }
+      assert.deepEqual(statuses, [201, 201, 201, 429]);
+    });
+  });
+
+  describe('POST /api/login', () => {
+    it('creates a worker profile on the first login', async () => {
+      const token = ctx.auth.addIdentity('google-user', { email: 'google@example.com', name: 'Google User' });
+      const res = await ctx.request('POST', '/api/login', { token, body: {} });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.created, true);
+      assert.equal(res.body.user.role, 'worker');
+    });
+
+    it('limits profile-creating logins per device, like registrations', async () => {
+      const statuses = [];
+      for (let i = 0; i < 4; i += 1) {
+        const token = ctx.auth.addIdentity(`farm-${i}`, { email: `farm-${i}@example.com` });
+        const res = await ctx.request('POST', '/api/login', {
+          token,
+          headers: { 'X-Device-Id': 'device-1' },
+          body: { role: 'buyer' },
+        });
+        statuses.push(res.status);
+      }
+      assert.deepEqual(statuses, [201, 201, 201, 429]);
+      assert.equal(await ctx.getUser('farm-3'), null);
+
+      // Existing profiles on the same device can still log in
+      const res = await ctx.request('POST', '/api/login', {
+        token: ctx.auth.addIdentity('farm-0', { email: 'farm-0@example.com' }),
+        headers: { 'X-Device-Id': 'device-1' },
+        body: {},
+      });
+      assert.equal(res.status, 200);
+    });
+
+    it('records the login time for an existing profile', async () => {
+      const buyer = await ctx.createUser({ role: 'buyer' });
+      const res = await ctx.request('POST', '/api/login', { token: buyer.token, body: {} });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.created, false);
+      assert.ok((await ctx.getUser(buyer.uid)).lastLoginAt);
+    });
+
+    it('locks out after repeated failed logins', async () => {
+      const statuses = [];
+      for (let i = 0; i < 7; i += 1) {
+        statuses.push((await ctx.request('POST', '/api/login', { token: 'forged', body: {} })).status);
+      }
+      assert.deepEqual(statuses.slice(0, 5), [401, 401, 401, 401, 401]);
+      assert.equal(statuses[6], 429);
+    });
+
+    describe('per account', () => {
+      let ip = 0;
+      // Every attempt comes from a new address, so only the per-account limits apply
+      const login = (user) => ctx.request('POST', '/api/login', {
+        token: user.token,
+        body: {},
+        headers: { 'X-Forwarded-For': `203.0.113.${(ip += 1) % 250}` },
+      });
+
+      beforeEach(async () => {
+        process.env.TRUST_PROXY = '1';
+        await ctx.reset();
+      });
+      afterEach(() => {
+        delete process.env.TRUST_PROXY;
+      });
+
+      it('limits logins to one account across IPs', async () => {
+        const worker = await ctx.createUser({ role: 'worker' });
+        const other = await ctx.createUser({ role: 'worker' });
+        for (let i = 0; i < RATE_LIMITS.login.perAccount.max; i += 1) {
+          assert.equal((await login(worker)).status, 200);
+        }
+
+        assert.equal((await login(worker)).status, 429);
+        assert.equal((await login(other)).status, 200);
+      });
+    });
+  });
+
+  describe('GET /api/users/:email/role', () => {
+    it('returns the caller\'s own role and coins', async () => {
+      const worker = await ctx.createUser({ role: 'worker', coins: 25 });
+      const res = await ctx.request('GET', `/api/users/${worker.email}/role`, { token: worker.token });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { role: 'worker', coin: 25 });
+    });
+
+    it('does not let users look up someone else', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+      const other = await ctx.createUser({ role: 'buyer' });
+      const res = await ctx.request('GET', `/api/users/${other.email}/role`, { token: worker.token });
+      assert.equal(res.status, 403);
+    });
+  });
+});
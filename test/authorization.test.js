@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestContext } = require('./helpers');
+
+describe('authentication and authorization', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(() => ctx.reset());
+
+  describe('verifyToken', () => {
+    it('rejects requests without a Bearer token', async () => {
+      const res = await ctx.request('GET', '/api/notifications');
+      assert.equal(res.status, 401);
+      assert.match(res.body.message, /missing token/);
+    });
+
+    it('rejects tokens the verifier does not accept', async () => {
+      const res = await ctx.request('GET', '/api/notifications', { token: 'forged' });
+      assert.equal(res.status, 401);
+      assert.match(res.body.message, /invalid or expired/);
+    });
+
+    it('rejects verified identities without a profile', async () => {
+      const token = ctx.auth.addIdentity('ghost', { email: 'ghost@example.com' });
+      const res = await ctx.request('GET', '/api/notifications', { token });
+      assert.equal(res.status, 403);
+      assert.match(res.body.message, /not registered/);
+    });
+
+    it('rejects suspended users', async () => {
+      const worker = await ctx.createUser({ role: 'worker', suspended: true });
+      const res = await ctx.request('GET', '/api/notifications', { token: worker.token });
+      assert.equal(res.status, 403);
+      assert.match(res.body.message, /suspended/);
+    });
+  });
+
+  describe('verifyRole', () => {
+    it('keeps non-admins out of every /api/admin route', async () => {
+      const buyer = await ctx.createUser({ role: 'buyer' });
+      for (const path of ['/api/admin/users', '/api/admin/withdraw-requests', '/api/admin/stats', '/api/admin/coins/reconcile']) {
+        const res = await ctx.request('GET', path, { token: buyer.token });
+        assert.equal(res.status, 403, path);
+      }
+    });
+
+    it('restricts admin coin deductions to admins', async () => {
+      const buyer = await ctx.createUser({ role: 'buyer', coins: 100 });
+      const res = await ctx.request('PATCH', '/api/users/deduct-coins', {
+        token: buyer.token,
+        body: { userId: buyer.uid, totalCost: 10 },
+      });
+      assert.equal(res.status, 403);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 100);
+    });
+
+    it('keeps workers from buyer routes and buyers from worker routes', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+      const buyer = await ctx.createUser({ role: 'buyer' });
+
+      assert.equal((await ctx.request('GET', `/api/buyer-dashboard/${worker.uid}`, { token: worker.token })).status, 403);
+      assert.equal((await ctx.request('GET', '/api/worker/tasks', { token: buyer.token })).status, 403);
+    });
+  });
+
+
+  describe('ownership checks', () => {
+    let owner;
+    let other;
+    let task;
+
+    beforeEach(async () => {
+      owner = await ctx.createUser({ role: 'buyer' });
+      other = await ctx.createUser({ role: 'buyer' });
+      task = await ctx.createTask(owner);
+    });
+
+    it('only lets the owner edit a task', async () => {
+      const res = await ctx.request('PATCH', `/api/tasks/${task._id}`, {
+        token: other.token,
+        body: { taskTitle: 'Hijacked', taskDetail: 'Hijacked', submissionInfo: 'Hijacked' },
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal((await ctx.collections.tasksCollection.findOne({ _id: task._id })).taskTitle, task.taskTitle);
+    });
+
+    it('only lets the owner or an admin delete a task', async () => {
+      const res = await ctx.request('DELETE', `/api/tasks/${task._id}`, { token: other.token });
+
+      assert.equal(res.status, 403);
+      assert.equal((await ctx.collections.tasksCollection.findOne({ _id: task._id })).status, 'open');
+      assert.equal((await ctx.getUser(owner.uid)).coins, 0);
+    });
+
+    it('only lets the owner review the task\'s submissions', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+      const submissionId = new ObjectId();
+      await ctx.collections.tasksCollection.updateOne({ _id: task._id }, {
+        $push: { submissions: { _id: submissionId, workerId: worker.uid, status: 'pending', submittedAt: new Date() } },
+      });
+
+      const res = await ctx.request('PATCH', `/api/tasks/approve/${task._id}/${submissionId}`, { token: other.token });
+
+      assert.equal(res.status, 404);
+      assert.equal((await ctx.getUser(worker.uid)).coins, 0);
+    });
+
+    it('keeps buyers out of each other\'s dashboard and reviews', async () => {
+      assert.equal((await ctx.request('GET', `/api/buyer-dashboard/${owner.uid}`, { token: other.token })).status, 403);
+      assert.equal((await ctx.request('GET', `/api/buyer-reviews/${owner.uid}`, { token: other.token })).status, 403);
+      assert.equal((await ctx.request('GET', `/api/buyer-reviews/${owner.uid}`, { token: owner.token })).status, 200);
+    });
+
+    it('lets workers read only their own withdrawals', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+      const peer = await ctx.createUser({ role: 'worker' });
+      const admin = await ctx.createUser({ role: 'admin' });
+      const path = `/api/withdrawals/${encodeURIComponent(worker.email)}`;
+
+      assert.equal((await ctx.request('GET', path, { token: peer.token })).status, 403);
+      assert.equal((await ctx.request('GET', path, { token: worker.token })).status, 200);
+      assert.equal((await ctx.request('GET', path, { token: admin.token })).status, 200);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { sendCsv } = require('../src/csv');
+
+// A response whose buffer is full after every write, until the test emits 'drain'
+const fakeResponse = () => Object.assign(new EventEmitter(), {
+  chunks: [],
+  ended: false,
+  destroyed: false,
+  set() { return this; },
+  write(chunk) { this.chunks.push(chunk); return false; },
+  end() { this.ended = true; },
+});
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('sendCsv', () => {
+  it('waits for the response to drain before writing more rows', async () => {
+    const res = fakeResponse();
+    const sent = sendCsv(res, 'rows.csv', ['n'], [[1], [2]]);
+
+    await tick();
+    assert.deepEqual(res.chunks, ['n\r\n']);
+
+    res.emit('drain');
+    await tick();
+    assert.deepEqual(res.chunks, ['n\r\n', '1\r\n']);
+
+    res.emit('drain');
+    await tick();
+    res.emit('drain');
+    await sent;
+    assert.deepEqual(res.chunks, ['n\r\n', '1\r\n', '2\r\n']);
+    assert.equal(res.ended, true);
+  });
+
+  it('stops reading rows once the client has gone away', async () => {
+    const res = fakeResponse();
+    let closed = false;
+    const rows = (async function* () {
+      try {
+        for (let n = 1; ; n += 1) yield [n];
+      } finally {
+        closed = true;
+      }
+    })();
+    const sent = sendCsv(res, 'rows.csv', ['n'], rows);
+
+    await tick();
+    res.emit('drain');
+    await tick();
+    res.destroyed = true;
+    res.emit('close');
+    await sent;
+
+    assert.deepEqual(res.chunks, ['n\r\n', '1\r\n']);
+    assert.equal(res.ended, false);
+    assert.equal(closed, true);
+  });
+});
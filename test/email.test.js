@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTransportFromEnv } = require('../src/email/transports');
+
+describe('createTransportFromEnv', () => {
+  it('uses SMTP when it is configured', () => {
+    assert.equal(createTransportFromEnv({ SMTP_HOST: 'smtp.example.com' }).name, 'smtp');
+  });
+
+  it('writes to the file outbox when nothing is configured', () => {
+    assert.equal(createTransportFromEnv({}).name, 'file');
+  });
+
+  it('refuses to start in production without an email transport', () => {
+    assert.throws(() => createTransportFromEnv({ NODE_ENV: 'production' }), /No email transport configured/);
+  });
+
+  it('only keeps mail in memory when asked to', () => {
+    assert.equal(createTransportFromEnv({ EMAIL_TRANSPORT: 'memory', NODE_ENV: 'production' }).name, 'memory');
+  });
+});
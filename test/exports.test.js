@@ -0,0 +1,120 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const parseNdjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('accounting exports', () => {
+  let ctx;
+  let admin;
+  let worker;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(async () => {
+    await ctx.reset();
+    admin = await ctx.createUser({ role: 'admin' });
+    worker = await ctx.createUser({ role: 'worker' });
+
+    await ctx.collections.PaymentsCollection.insertMany([
+      { type: 'coin_purchase', buyer_uid: 'buyer-1', coins: 150, amount: 10, currency: 'usd', status: 'succeeded', payment_date: new Date('2026-03-02T10:00:00Z') },
+      { type: 'withdrawal_payout', worker_email: worker.email, withdrawal_coin: 200, withdrawal_amount: 10, payment_system: 'bkash', account_number: '01712345678', status: 'approved', payment_date: new Date('2026-03-03T10:00:00Z') },
+      { type: 'withdrawal_payout', worker_email: worker.email, withdrawal_coin: 400, withdrawal_amount: 20, payment_system: 'bkash', account_number: '01712345678', status: 'approved', payment_date: new Date('2026-03-31T23:00:00Z') },
+      { type: 'withdrawal_payout', worker_email: worker.email, withdrawal_coin: 200, withdrawal_amount: 10, payment_system: 'nagad', account_number: '01898765432', status: 'approved', payment_date: new Date('2026-04-01T00:00:00Z') },
+    ]);
+    await ctx.collections.WithdrawalsCollection.insertMany([
+      { worker_uid: worker.uid, worker_email: worker.email, withdrawal_coin: 200, withdrawal_amount: 10, payment_system: 'bkash', account_number: '01712345678', status: 'payment done', withdraw_date: new Date('2026-03-01T00:00:00Z') },
+      { worker_uid: worker.uid, worker_email: worker.email, withdrawal_coin: 300, withdrawal_amount: 15, payment_system: 'bkash', account_number: '01712345678', status: 'pending', withdraw_date: new Date('2026-03-05T00:00:00Z') },
+      { worker_uid: 'other', worker_email: 'other@example.com', withdrawal_coin: 200, withdrawal_amount: 10, payment_system: 'nagad', account_number: '01898765432', status: 'pending', withdraw_date: new Date('2026-03-06T00:00:00Z') },
+    ]);
+  });
+
+  describe('GET /api/admin/exports/payments', () => {
+    it('streams the period as CSV with masked account numbers and totals per payment system', async () => {
+      const res = await ctx.request('GET', '/api/admin/exports/payments?from=2026-03-01&to=2026-03-31', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-disposition'), /payments-2026-03-01-to-2026-03-31\.csv/);
+      const [records, totals] = res.body.split('\r\n\r\n');
+      const rows = records.split('\r\n');
+      assert.equal(rows.length, 4); // Header and three payments; `to` covers the whole last day
+      assert.ok(rows.slice(1).every(row => !row.includes('01712345678')));
+      assert.match(totals, /bkash,approved,2,600,30/);
+      assert.match(totals, /stripe,succeeded,1,150,10/);
+    });
+
+    it('exports full account numbers only on request, and audits it', async () => {
+      const res = await ctx.request('GET', '/api/admin/exports/payments?format=ndjson&type=withdrawal_payout&fullAccountNumbers=true', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      const lines = parseNdjson(res.body);
+      const records = lines.filter(line => !line.totals);
+      assert.equal(records.length, 3);
+      assert.equal(records[0].account_number, '01712345678');
+      assert.deepEqual(lines.filter(line => line.totals).map(line => line.totals.payment_system), ['bkash', 'nagad']);
+
+      await ctx.eventually(async () => {
+        assert.equal(await ctx.collections.AuditLogCollection.countDocuments({ action: 'payments.exported_unmasked' }), 1);
+      });
+    });
+  });
+
+  describe('GET /api/admin/exports/withdrawals', () => {
+    it('filters by payment system', async () => {
+      const res = await ctx.request('GET', '/api/admin/exports/withdrawals?format=ndjson&payment_system=bkash', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      const lines = parseNdjson(res.body);
+      assert.equal(lines.filter(line => !line.totals).length, 2);
+      assert.equal(lines[0].account_number, '•••••••5678');
+    });
+
+    it('streams exports larger than the response buffer in full', async () => {
+      await ctx.collections.WithdrawalsCollection.insertMany(Array.from({ length: 3000 }, (_, i) => ({
+        worker_uid: `bulk-${i}`, worker_email: `bulk-${i}@example.com`, withdrawal_coin: 200, withdrawal_amount: 10,
+        payment_system: 'rocket', account_number: '01512345678', status: 'pending', withdraw_date: new Date(),
+      })));
+
+      const res = await ctx.request('GET', '/api/admin/exports/withdrawals?format=ndjson&payment_system=rocket', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      const lines = parseNdjson(res.body);
+      assert.equal(lines.filter(line => !line.totals).length, 3000);
+      assert.equal(lines[lines.length - 1].totals.count, 3000);
+    });
+
+    it('filters by the statuses withdrawals actually have', async () => {
+      const paid = await ctx.request('GET', `/api/admin/exports/withdrawals?format=ndjson&status=${encodeURIComponent('payment done')}`, { token: admin.token });
+      assert.equal(paid.status, 200);
+      assert.equal(parseNdjson(paid.body).filter(line => !line.totals).length, 1);
+
+      const unknown = await ctx.request('GET', '/api/admin/exports/withdrawals?status=approved', { token: admin.token });
+      assert.equal(unknown.status, 400);
+    });
+  });
+
+  describe('GET /api/worker/statement', () => {
+    it('covers only the worker\'s own withdrawals', async () => {
+      const res = await ctx.request('GET', '/api/worker/statement?format=ndjson', { token: worker.token });
+
+      assert.equal(res.status, 200);
+      const records = parseNdjson(res.body).filter(line => !line.totals);
+      assert.deepEqual(records.map(record => record.status), ['payment done', 'pending']);
+      assert.ok(records.every(record => record.worker_email === undefined));
+    });
+
+    it('filters the statement by status', async () => {
+      const res = await ctx.request('GET', `/api/worker/statement?format=ndjson&status=${encodeURIComponent('payment done')}`, { token: worker.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(parseNdjson(res.body).filter(line => !line.totals).map(record => record.status), ['payment done']);
+    });
+
+    it('is for workers only', async () => {
+      const res = await ctx.request('GET', '/api/worker/statement', { token: admin.token });
+      assert.equal(res.status, 403);
+    });
+  });
+});
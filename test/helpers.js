@@ -0,0 +1,218 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+const { MongoClient } = require('mongodb');
+const createApp = require('../src/app');
+const { getCollections, ensureIndexes } = require('../src/collections');
+const { createMemoryTransport } = require('../src/email/transports');
+const { createLocalStorage } = require('../src/storage');
+const { createMemoryStore } = require('../src/middleware/rateLimit');
+
+// Integration test harness. Each test file gets its own single-node replica set from
+// mongodb-memory-server (transactions need a replica set), or the server in MONGODB_URI when set,
+// and an app built by createApp with offline stand-ins for Firebase auth, Stripe and email.
+
+// Stand-in for firebase-admin's auth(): `addIdentity` registers a Firebase account and returns its
+// ID token; any other token is rejected like an expired or forged one
+function createStubAuth() {
+  const identities = new Map();
+  const deletedUids = [];
+
+  return {
+    deletedUids,
+    addIdentity(uid, claims = {}) {
+      identities.set(`token-${uid}`, { uid, ...claims });
+      return `token-${uid}`;
+    },
+    async verifyIdToken(token) {
+      const decoded = identities.get(token);
+      if (!decoded) throw Object.assign(new Error('Invalid ID token'), { code: 'auth/argument-error' });
+      return decoded;
+    },
+    async deleteUser(uid) {
+      deletedUids.push(uid);
+    },
+  };
+}
+
+// Stand-in for the Stripe client: PaymentIntents are recorded in `paymentIntents`, and webhook
+// payloads are accepted when sent with WEBHOOK_SIGNATURE
+const WEBHOOK_SIGNATURE = 'test-signature';
+
+function createStubStripe() {
+  const paymentIntents = [];
+
+  return {
+    paymentIntents: {
+      created: paymentIntents,
+      async create(params) {
+        const paymentIntent = { id: `pi_test_${paymentIntents.length + 1}`, client_secret: `secret_${paymentIntents.length + 1}`, ...params };
+        paymentIntents.push(paymentIntent);
+        return paymentIntent;
+      },
+    },
+    webhooks: {
+      constructEvent(body, signature) {
+        if (signature !== WEBHOOK_SIGNATURE) throw new Error('No signatures found matching the expected signature');
+        return JSON.parse(body.toString('utf8'));
+      },
+    },
+  };
+}
+
+async function startDatabase() {
+  if (process.env.MONGODB_URI) {
+    return { uri: process.env.MONGODB_URI, stop: async () => {} };
+  }
+  // Loaded lazily so a run against MONGODB_URI doesn't need the mongod binary
+  const { MongoMemoryReplSet } = require('mongodb-memory-server');
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  return { uri: replSet.getUri(), stop: () => replSet.stop() };
+}
+
+// Poll `check` until it stops throwing, for writes made after the response (audit log, email queue)
+async function eventually(check, { timeoutMs = 2000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+}
+
+// Start the database and an HTTP server for the app. `reset()` empties every collection and
+// rebuilds the app, so rate limit counters and caches don't carry over between tests.
+async function createTestContext() {
+  const database = await startDatabase();
+  const client = new MongoClient(database.uri);
+  await client.connect();
+  const db = client.db(`test_${process.pid}_${Date.now()}`);
+  await ensureIndexes(db);
+
+  const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'microtask-uploads-'));
+  const ctx = {
+    db,
+    client,
+    collections: getCollections(db),
+    auth: null,
+    stripe: null,
+    mailTransport: null,
+    storage: null,
+    app: null,
+    baseUrl: null,
+  };
+
+  const buildApp = () => {
+    ctx.auth = createStubAuth();
+    ctx.stripe = createStubStripe();
+    ctx.mailTransport = createMemoryTransport();
+    ctx.storage = createLocalStorage({ dir: uploadDir, baseUrl: ctx.baseUrl || 'http://localhost' });
+    ctx.app = createApp({
+      db,
+      client,
+      stripe: ctx.stripe,
+      auth: ctx.auth,
+      mailTransport: ctx.mailTransport,
+      storage: ctx.storage,
+      rateLimitStore: createMemoryStore(),
+    });
+  };
+
+  const server = http.createServer((req, res) => ctx.app(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  ctx.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  buildApp();
+
+  // Send a request; JSON bodies are encoded and JSON responses decoded into `body`
+  ctx.request = async (method, urlPath, { token, body, headers = {} } = {}) => {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData || typeof body === 'string' || Buffer.isBuffer(body)) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(ctx.baseUrl + urlPath, init);
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+
+  // Create a registered user with a Firebase identity; returns the profile plus its `token`
+  let userCount = 0;
+  ctx.createUser = async ({ role = 'worker', coins = 0, ...fields } = {}) => {
+    userCount += 1;
+    const uid = fields.uid || `${role}-${userCount}`;
+    const user = {
+      uid,
+      email: `${uid}@example.com`,
+      name: `${role} ${userCount}`,
+      role,
+      coins,
+      profilePictureUrl: null,
+      createdAt: new Date(),
+      ...fields,
+    };
+    await ctx.collections.usersCollection.insertOne(user);
+    if (coins) {
+      // Keep the ledger reconciled with the starting balance
+      await ctx.collections.CoinTransactionsCollection.insertOne({
+        uid, type: 'credit', amount: coins, reason: 'opening_balance', referenceId: null, balanceAfter: coins, createdAt: new Date(),
+      });
+    }
+    const token = ctx.auth.addIdentity(uid, { email: user.email, name: user.name });
+    return { ...user, token };
+  };
+
+  ctx.getUser = (uid) => ctx.collections.usersCollection.findOne({ uid });
+
+  // Insert a task owned by `buyer` directly, without charging them
+  ctx.createTask = async (buyer, fields = {}) => {
+    const task = {
+      taskTitle: 'Review our app',
+      taskDetail: 'Install the app and leave an honest review',
+      requiredWorkers: 3,
+      totalWorkers: fields.requiredWorkers || 3,
+      payableAmount: 10,
+      completionDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      submissionInfo: 'A screenshot of your review',
+      taskImageUrl: 'https://images.example.com/task.png',
+      userId: buyer.uid,
+      buyerName: buyer.name,
+      status: 'open',
+      submissions: [],
+      createdAt: new Date(),
+      ...fields,
+    };
+    const result = await ctx.collections.tasksCollection.insertOne(task);
+    return { _id: result.insertedId, ...task };
+  };
+
+  ctx.eventually = eventually;
+
+  ctx.reset = async () => {
+    const collections = await db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+    buildApp();
+  };
+
+  ctx.close = async () => {
+    // Let after-response writes (audit log, idempotency keys, email queue) settle first
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await new Promise(resolve => server.close(resolve));
+    await db.dropDatabase().catch(() => {});
+    await client.close();
+    await database.stop();
+    await fs.rm(uploadDir, { recursive: true, force: true });
+  };
+
+  return ctx;
+}
+
+module.exports = { createTestContext, createStubAuth, createStubStripe, eventually, WEBHOOK_SIGNATURE };
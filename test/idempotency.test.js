@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createIdempotency } = require('../src/middleware/idempotency');
+
+// Just enough of req/res for the middleware, without a database or server
+const fakeRequest = () => ({
+  method: 'POST',
+  baseUrl: '',
+  path: '/api/withdrawals',
+  body: { amount: 10 },
+  user: { uid: 'worker-1' },
+  get: (header) => (header === 'Idempotency-Key' ? 'key-1' : undefined),
+});
+
+const fakeResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  set(name, value) { this.headers[name] = value; return this; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  on() {},
+});
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('idempotent', () => {
+  it('answers 500 when the stored key cannot be read', async () => {
+    const idempotent = createIdempotency({
+      collections: {
+        IdempotencyKeysCollection: {
+          insertOne: async () => { throw duplicateKeyError(); },
+          findOne: async () => { throw new Error('connection reset'); },
+        },
+      },
+    });
+    const res = fakeResponse();
+    let calledNext = false;
+
+    await idempotent(fakeRequest(), res, () => { calledNext = true; });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(calledNext, false);
+  });
+
+  it('answers 500 when an abandoned request cannot be taken over', async () => {
+    // The key is stored by the first request, and left 'processing'
+    let stored;
+    const idempotent = createIdempotency({
+      collections: {
+        IdempotencyKeysCollection: {
+          insertOne: async (doc) => {
+            if (stored) throw duplicateKeyError();
+            stored = { _id: 'id', ...doc };
+          },
+          findOne: async () => stored,
+          updateOne: async () => { throw new Error('connection reset'); },
+        },
+      },
+    });
+    await idempotent(fakeRequest(), fakeResponse(), () => {});
+
+    const res = fakeResponse();
+    await idempotent(fakeRequest(), res, () => assert.fail('next should not be called'));
+
+    assert.equal(res.statusCode, 500);
+  });
+});
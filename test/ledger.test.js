@@ -0,0 +1,62 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backfillOpeningBalances } = require('../src/ledger');
+const { createTestContext } = require('./helpers');
+
+describe('backfillOpeningBalances', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(() => ctx.reset());
+
+  const ledgerSum = async (uid) => {
+    const [total] = await ctx.collections.CoinTransactionsCollection.aggregate([
+      { $match: { uid } },
+      { $group: { _id: null, sum: { $sum: '$amount' } } },
+    ]).toArray();
+    return total ? total.sum : 0;
+  };
+
+  it('records the difference for balances the ledger does not explain', async () => {
+    const { usersCollection, CoinTransactionsCollection } = ctx.collections;
+    await usersCollection.insertMany([
+      { uid: 'legacy', email: 'legacy@example.com', role: 'worker', coins: 120 },
+      { uid: 'partial', email: 'partial@example.com', role: 'buyer', coins: 30 },
+      { uid: 'balanced', email: 'balanced@example.com', role: 'worker', coins: 0 },
+    ]);
+    await CoinTransactionsCollection.insertOne({ uid: 'partial', type: 'credit', amount: 50, reason: 'signup_bonus', createdAt: new Date() });
+
+    assert.equal(await backfillOpeningBalances(ctx.collections), 2);
+
+    assert.equal(await ledgerSum('legacy'), 120);
+    assert.equal(await ledgerSum('partial'), 30);
+    const opening = await CoinTransactionsCollection.findOne({ uid: 'partial', reason: 'opening_balance' });
+    assert.equal(opening.type, 'debit');
+    assert.equal(opening.amount, -20);
+    assert.equal(await CoinTransactionsCollection.countDocuments({ uid: 'balanced' }), 0);
+
+    const reconcile = await ctx.request('GET', '/api/admin/coins/reconcile', { token: (await ctx.createUser({ role: 'admin' })).token });
+    assert.equal(reconcile.body.driftCount, 0);
+  });
+
+  it('only counts the users to fix on a dry run', async () => {
+    await ctx.collections.usersCollection.insertOne({ uid: 'legacy', email: 'legacy@example.com', role: 'worker', coins: 120 });
+
+    assert.equal(await backfillOpeningBalances(ctx.collections, { dryRun: true }), 1);
+    assert.equal(await ctx.collections.CoinTransactionsCollection.countDocuments(), 0);
+  });
+
+  it('changes nothing for users it already fixed when run again', async () => {
+    const { usersCollection } = ctx.collections;
+    await usersCollection.insertOne({ uid: 'legacy', email: 'legacy@example.com', role: 'worker', coins: 120 });
+    await backfillOpeningBalances(ctx.collections);
+
+    await usersCollection.updateOne({ uid: 'legacy' }, { $inc: { coins: 5 } });
+
+    assert.equal(await backfillOpeningBalances(ctx.collections), 0);
+    assert.equal(await ledgerSum('legacy'), 120);
+  });
+});
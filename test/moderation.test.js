@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestContext } = require('./helpers');
+
+describe('task reports and takedowns', () => {
+  let ctx;
+  let admin;
+  let buyer;
+  let worker;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(async () => {
+    await ctx.reset();
+    admin = await ctx.createUser({ role: 'admin' });
+    buyer = await ctx.createUser({ role: 'buyer' });
+    worker = await ctx.createUser({ role: 'worker' });
+  });
+
+  const report = (task, user = worker) => ctx.request('POST', `/api/worker/tasks/${task._id}/reports`, {
+    token: user.token,
+    body: { reason: 'Asks for account passwords' },
+  });
+
+  it('takes one report per worker and task', async () => {
+    const task = await ctx.createTask(buyer);
+    assert.equal((await report(task)).status, 201);
+    assert.equal((await report(task)).status, 409);
+  });
+
+  it('queues reports by task, most reported first', async () => {
+    const quiet = await ctx.createTask(buyer, { taskTitle: 'Quiet' });
+    const noisy = await ctx.createTask(buyer, { taskTitle: 'Noisy' });
+    const other = await ctx.createUser({ role: 'worker' });
+    await report(quiet);
+    await report(noisy);
+    await report(noisy, other);
+
+    const res = await ctx.request('GET', '/api/admin/reports', { token: admin.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.reports.map(entry => [entry.task.taskTitle, entry.reportCount]), [['Noisy', 2], ['Quiet', 1]]);
+  });
+
+  it('dismisses a task\'s open reports', async () => {
+    const task = await ctx.createTask(buyer);
+    await report(task);
+
+    const res = await ctx.request('PATCH', `/api/admin/reports/${task._id}/dismiss`, { token: admin.token, body: { note: 'Fine' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dismissed, 1);
+    const again = await ctx.request('PATCH', `/api/admin/reports/${task._id}/dismiss`, { token: admin.token, body: {} });
+    assert.equal(again.status, 404);
+  });
+
+  it('takes a task down, refunding the buyer and closing pending work and reports', async () => {
+    const submissionId = new ObjectId();
+    const task = await ctx.createTask(buyer, {
+      requiredWorkers: 1,
+      totalWorkers: 2,
+      payableAmount: 10,
+      status: 'in_progress',
+      submissions: [{ _id: submissionId, workerId: worker.uid, status: 'pending', submittedAt: new Date() }],
+    });
+    await report(task);
+
+    const res = await ctx.request('DELETE', `/api/admin/tasks/${task._id}`, { token: admin.token, body: { reason: 'Phishing' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.refund, 20);
+    assert.equal(res.body.reportsActioned, 1);
+    assert.equal((await ctx.getUser(buyer.uid)).coins, 20);
+
+    const saved = await ctx.collections.tasksCollection.findOne({ _id: task._id });
+    assert.equal(saved.status, 'cancelled');
+    assert.equal(saved.removedByAdmin, true);
+    assert.equal(saved.submissions[0].status, 'rejected');
+    assert.equal(await ctx.collections.ModerationLogCollection.countDocuments({ taskId: task._id }), 1);
+
+    const again = await ctx.request('DELETE', `/api/admin/tasks/${task._id}`, { token: admin.token, body: { reason: 'Phishing' } });
+    assert.equal(again.status, 409);
+  });
+});
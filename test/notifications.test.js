@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+describe('notification routes', () => {
+  let ctx;
+  let worker;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(async () => {
+    await ctx.reset();
+    worker = await ctx.createUser({ role: 'worker' });
+  });
+
+  // Read a Server-Sent Events body until `pattern` shows up, returning everything read so far
+  const readUntil = async (reader, pattern, received = '') => {
+    const decoder = new TextDecoder();
+    while (!pattern.test(received)) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error(`Stream ended before ${pattern}: ${received}`);
+      received += decoder.decode(value, { stream: true });
+    }
+    return received;
+  };
+
+  const addNotifications = (uid, count) => ctx.collections.NotificationsCollection.insertMany(
+    Array.from({ length: count }, (_, i) => ({ uid, type: 'test', message: `Message ${i}`, data: {}, read: false, createdAt: new Date(Date.now() + i) }))
+  );
+
+  it('lists the user\'s notifications, newest first, with the unread count', async () => {
+    await addNotifications(worker.uid, 3);
+    await addNotifications('someone-else', 2);
+
+    const res = await ctx.request('GET', '/api/notifications?limit=2', { token: worker.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.unreadCount, 3);
+    assert.equal(res.body.pagination.total, 3);
+    assert.deepEqual(res.body.notifications.map(notification => notification.message), ['Message 2', 'Message 1']);
+  });
+
+  it('marks one notification as read, but only the user\'s own', async () => {
+    await addNotifications(worker.uid, 1);
+    await addNotifications('someone-else', 1);
+    const [own, foreign] = await ctx.collections.NotificationsCollection.find().sort({ uid: -1 }).toArray();
+
+    assert.equal((await ctx.request('PATCH', `/api/notifications/${own._id}/read`, { token: worker.token })).status, 200);
+    assert.equal((await ctx.request('PATCH', `/api/notifications/${foreign._id}/read`, { token: worker.token })).status, 404);
+
+    const res = await ctx.request('GET', '/api/notifications?unread=true', { token: worker.token });
+    assert.equal(res.body.pagination.total, 0);
+  });
+
+  it('marks everything as read', async () => {
+    await addNotifications(worker.uid, 4);
+    const res = await ctx.request('PATCH', '/api/notifications/read-all', { token: worker.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.updated, 4);
+  });
+
+  describe('GET /api/notifications/stream', () => {
+    it('pushes new notifications to a subscriber that sends the token as ?token=', async () => {
+      const buyer = await ctx.createUser({ role: 'buyer' });
+      const task = await ctx.createTask(buyer);
+      const controller = new AbortController();
+
+      try {
+        const stream = await fetch(`${ctx.baseUrl}/api/notifications/stream?token=${buyer.token}`, { signal: controller.signal });
+        assert.equal(stream.status, 200);
+        assert.match(stream.headers.get('content-type'), /text\/event-stream/);
+        const reader = stream.body.getReader();
+        await readUntil(reader, /event: ready/);
+
+        const submitted = await ctx.request('POST', `/api/worker/tasks/${task._id}/submissions`, {
+          token: worker.token,
+          body: { submission_details: 'Done, my username is @worker' },
+        });
+        assert.equal(submitted.status, 201);
+
+        const received = await readUntil(reader, /event: notification\ndata: .*\n\n/);
+        const notification = JSON.parse(received.match(/event: notification\ndata: (.*)\n/)[1]);
+        assert.equal(notification.uid, buyer.uid);
+      } finally {
+        controller.abort();
+      }
+    });
+
+    it('still accepts the Authorization header', async () => {
+      const controller = new AbortController();
+      try {
+        const stream = await fetch(`${ctx.baseUrl}/api/notifications/stream`, {
+          headers: { Authorization: `Bearer ${worker.token}` },
+          signal: controller.signal,
+        });
+        assert.equal(stream.status, 200);
+        await readUntil(stream.body.getReader(), /event: ready/);
+      } finally {
+        controller.abort();
+      }
+    });
+
+    it('rejects a missing or invalid token', async () => {
+      assert.equal((await ctx.request('GET', '/api/notifications/stream')).status, 401);
+      assert.equal((await ctx.request('GET', '/api/notifications/stream?token=forged')).status, 401);
+    });
+  });
+
+  it('only reads the token from the query string on the stream', async () => {
+    const res = await ctx.request('GET', `/api/notifications?token=${worker.token}`);
+    assert.equal(res.status, 401);
+  });
+});
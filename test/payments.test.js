@@ -0,0 +1,105 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, WEBHOOK_SIGNATURE } = require('./helpers');
+
+// Stripe payloads are built here and accepted by the stub client's constructEvent
+const succeededEvent = (paymentIntent) => JSON.stringify({
+  id: `evt_${paymentIntent.id}`,
+  type: 'payment_intent.succeeded',
+  data: { object: { currency: 'usd', ...paymentIntent } },
+});
+
+describe('coin purchases', () => {
+  let ctx;
+  let buyer;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(async () => {
+    await ctx.reset();
+    buyer = await ctx.createUser({ role: 'buyer' });
+  });
+
+  const sendWebhook = (payload, signature = WEBHOOK_SIGNATURE) => ctx.request('POST', '/api/stripe/webhook', {
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+
+  it('lists the coin packages', async () => {
+    const res = await ctx.request('GET', '/api/coin-packages');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.packages.some(pkg => pkg.id === 'standard'));
+  });
+
+  it('creates a PaymentIntent priced by the server', async () => {
+    const res = await ctx.request('POST', '/api/payments/create-payment-intent', { token: buyer.token, body: { packageId: 'standard' } });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.paymentIntentId, 'pi_test_1');
+    const [paymentIntent] = ctx.stripe.paymentIntents.created;
+    assert.equal(paymentIntent.amount, 1000);
+    assert.deepEqual(paymentIntent.metadata, { uid: buyer.uid, packageId: 'standard', coins: '150' });
+  });
+
+  it('only lets buyers create PaymentIntents', async () => {
+    const worker = await ctx.createUser({ role: 'worker' });
+    const res = await ctx.request('POST', '/api/payments/create-payment-intent', { token: worker.token, body: { packageId: 'standard' } });
+    assert.equal(res.status, 403);
+  });
+
+  describe('POST /api/stripe/webhook', () => {
+    const paymentIntent = () => ({ id: 'pi_1', amount_received: 1000, metadata: { uid: buyer.uid, packageId: 'standard' } });
+
+    it('rejects payloads without a valid signature', async () => {
+      const res = await sendWebhook(succeededEvent(paymentIntent()), 'forged');
+      assert.equal(res.status, 400);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 0);
+    });
+
+    it('credits the buyer and records the purchase once, however often the event arrives', async () => {
+      const payload = succeededEvent(paymentIntent());
+      assert.equal((await sendWebhook(payload)).status, 200);
+      assert.equal((await sendWebhook(payload)).status, 200);
+
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 150);
+      const payments = await ctx.collections.PaymentsCollection.find({ payment_intent_id: 'pi_1' }).toArray();
+      assert.equal(payments.length, 1);
+      assert.equal(payments[0].type, 'coin_purchase');
+
+      const ledger = await ctx.collections.CoinTransactionsCollection.find({ uid: buyer.uid }).toArray();
+      assert.deepEqual(ledger.map(entry => [entry.reason, entry.amount, entry.referenceId]), [['coin_purchase', 150, 'pi_1']]);
+    });
+
+    it('flags a payment that does not match the package price instead of crediting it', async () => {
+      const payload = succeededEvent({ ...paymentIntent(), amount_received: 500 });
+      assert.equal((await sendWebhook(payload)).status, 200);
+      assert.equal((await sendWebhook(payload)).status, 200);
+
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 0);
+      assert.equal(await ctx.collections.CoinTransactionsCollection.countDocuments({ reason: 'coin_purchase' }), 0);
+      const payments = await ctx.collections.PaymentsCollection.find({ payment_intent_id: 'pi_1' }).toArray();
+      assert.equal(payments.length, 1);
+      assert.equal(payments[0].status, 'amount_mismatch');
+      assert.equal(payments[0].amount, 5);
+      assert.equal(payments[0].expected_amount, 10);
+    });
+
+    it('ignores other event types', async () => {
+      const payload = JSON.stringify({ id: 'evt_2', type: 'payment_intent.created', data: { object: paymentIntent() } });
+      assert.equal((await sendWebhook(payload)).status, 200);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 0);
+    });
+
+    it('lists the buyer\'s purchase history', async () => {
+      await sendWebhook(succeededEvent(paymentIntent()));
+      const res = await ctx.request('GET', '/api/payments/history', { token: buyer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.payments.length, 1);
+      assert.equal(res.body.payments[0].coins, 150);
+      assert.equal(res.body.payments[0].buyer_uid, undefined);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestContext } = require('./helpers');
+
+describe('public routes', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(() => ctx.reset());
+
+  it('ranks workers by coins without exposing private fields', async () => {
+    await ctx.createUser({ role: 'worker', name: 'Rich', coins: 90 });
+    await ctx.createUser({ role: 'worker', name: 'Poor', coins: 10 });
+    await ctx.createUser({ role: 'worker', name: 'Suspended', coins: 500, suspended: true });
+    await ctx.createUser({ role: 'buyer', name: 'Buyer', coins: 1000 });
+
+    const res = await ctx.request('GET', '/api/leaderboard');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.workers.map(worker => [worker.rank, worker.name, worker.coins]), [[1, 'Rich', 90], [2, 'Poor', 10]]);
+    assert.equal(res.body.workers[0].uid, undefined);
+    assert.equal(res.body.workers[0].email, undefined);
+  });
+
+  it('ranks workers by approved submissions', async () => {
+    const buyer = await ctx.createUser({ role: 'buyer' });
+    const busy = await ctx.createUser({ role: 'worker', name: 'Busy' });
+    const idle = await ctx.createUser({ role: 'worker', name: 'Idle' });
+    const approved = (worker) => ({ _id: new ObjectId(), workerId: worker.uid, status: 'approved', reviewedAt: new Date() });
+    await ctx.createTask(buyer, { submissions: [approved(busy), approved(idle)] });
+    await ctx.createTask(buyer, { submissions: [approved(busy)] });
+
+    const res = await ctx.request('GET', '/api/leaderboard?by=approvals');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.workers.map(worker => [worker.name, worker.approvedSubmissions]), [['Busy', 2], ['Idle', 1]]);
+    assert.deepEqual(Object.keys(res.body.workers[0]).sort(), ['approvedSubmissions', 'name', 'profilePictureUrl', 'rank', 'role']);
+  });
+
+  it('reports platform metrics', async () => {
+    const buyer = await ctx.createUser({ role: 'buyer' });
+    const worker = await ctx.createUser({ role: 'worker' });
+    await ctx.createTask(buyer, { submissions: [{ _id: new ObjectId(), workerId: worker.uid, status: 'pending', submittedAt: new Date() }] });
+    await ctx.collections.PaymentsCollection.insertOne({ type: 'withdrawal_payout', withdrawal_amount: 12.5, payment_date: new Date() });
+
+    const res = await ctx.request('GET', '/api/metrics');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totalTasks, 1);
+    assert.equal(res.body.totalPaidOut, 12.5);
+    assert.equal(res.body.activeWorkers, 1);
+  });
+});
@@ -0,0 +1,213 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestContext } = require('./helpers');
+
+// Worker task discovery and submissions, and the buyer's review of them
+describe('submission routes', () => {
+  let ctx;
+  let buyer;
+  let worker;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(async () => {
+    await ctx.reset();
+    buyer = await ctx.createUser({ role: 'buyer', coins: 0 });
+    worker = await ctx.createUser({ role: 'worker' });
+  });
+
+  const submit = (task, user = worker) => ctx.request('POST', `/api/worker/tasks/${task._id}/submissions`, {
+    token: user.token,
+    body: { submission_details: 'Done, my username is @worker' },
+  });
+
+  const pendingSubmissionOn = async (task, user = worker) => {
+    const res = await submit(task, user);
+    assert.equal(res.status, 201);
+    return res.body.submissionId;
+  };
+
+  describe('worker task discovery', () => {
+    it('lists only tasks that still take submissions, without other workers\' submissions', async () => {
+      await ctx.createTask(buyer, { taskTitle: 'Open task' });
+      await ctx.createTask(buyer, { taskTitle: 'Full task', requiredWorkers: 0 });
+      await ctx.createTask(buyer, { taskTitle: 'Overdue task', completionDate: new Date(Date.now() - 1000) });
+      await ctx.createTask(buyer, { taskTitle: 'Cancelled task', status: 'cancelled' });
+
+      const res = await ctx.request('GET', '/api/worker/tasks', { token: worker.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.tasks.map(task => task.taskTitle), ['Open task']);
+      assert.equal(res.body.tasks[0].submissions, undefined);
+      assert.equal(res.body.pagination.total, 1);
+    });
+
+    it('returns one task\'s details', async () => {
+      const task = await ctx.createTask(buyer);
+      const res = await ctx.request('GET', `/api/worker/tasks/${task._id}`, { token: worker.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.task.taskTitle, task.taskTitle);
+    });
+  });
+
+  describe('POST /api/worker/tasks/:taskId/submissions', () => {
+    it('takes a slot, moves the task into progress and tells the buyer', async () => {
+      const task = await ctx.createTask(buyer, { requiredWorkers: 2, totalWorkers: 2 });
+      await pendingSubmissionOn(task);
+
+      const saved = await ctx.collections.tasksCollection.findOne({ _id: task._id });
+      assert.equal(saved.requiredWorkers, 1);
+      assert.equal(saved.status, 'in_progress');
+      assert.equal(saved.submissions[0].workerId, worker.uid);
+
+      const notification = await ctx.collections.NotificationsCollection.findOne({ uid: buyer.uid });
+      assert.equal(notification.type, 'submission_received');
+    });
+
+    it('accepts one submission per worker and task', async () => {
+      const task = await ctx.createTask(buyer);
+      await pendingSubmissionOn(task);
+      assert.equal((await submit(task)).status, 409);
+    });
+
+    it('refuses submissions once every slot is taken', async () => {
+      const task = await ctx.createTask(buyer, { requiredWorkers: 1, totalWorkers: 1 });
+      const other = await ctx.createUser({ role: 'worker' });
+      await pendingSubmissionOn(task, other);
+
+      const res = await submit(task);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'No worker slots left for this task');
+    });
+
+    it('lists the worker\'s own submissions', async () => {
+      const task = await ctx.createTask(buyer);
+      await pendingSubmissionOn(task);
+
+      const res = await ctx.request('GET', '/api/worker/submissions?status=pending', { token: worker.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.submissions.length, 1);
+      assert.equal(res.body.submissions[0].taskTitle, task.taskTitle);
+    });
+  });
+
+  describe('buyer review', () => {
+    it('approving pays the worker through the ledger and completes a filled task', async () => {
+      const task = await ctx.createTask(buyer, { requiredWorkers: 1, totalWorkers: 1, payableAmount: 15 });
+      const submissionId = await pendingSubmissionOn(task);
+
+      const res = await ctx.request('PATCH', `/api/tasks/approve/${task._id}/${submissionId}`, { token: buyer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.getUser(worker.uid)).coins, 15);
+      assert.equal((await ctx.collections.tasksCollection.findOne({ _id: task._id })).status, 'completed');
+
+      const credit = await ctx.collections.CoinTransactionsCollection.findOne({ uid: worker.uid });
+      assert.equal(credit.reason, 'submission_approved');
+      assert.equal(credit.referenceId, submissionId);
+
+      const again = await ctx.request('PATCH', `/api/tasks/approve/${task._id}/${submissionId}`, { token: buyer.token });
+      assert.equal(again.status, 404);
+      assert.equal((await ctx.getUser(worker.uid)).coins, 15);
+    });
+
+    it('rejecting reopens the slot without paying anyone', async () => {
+      const task = await ctx.createTask(buyer, { requiredWorkers: 1, totalWorkers: 1 });
+      const submissionId = await pendingSubmissionOn(task);
+
+      const res = await ctx.request('PATCH', `/api/tasks/reject/${task._id}/${submissionId}`, { token: buyer.token });
+
+      assert.equal(res.status, 200);
+      const saved = await ctx.collections.tasksCollection.findOne({ _id: task._id });
+      assert.equal(saved.requiredWorkers, 1);
+      assert.equal(saved.status, 'open');
+      assert.equal((await ctx.getUser(worker.uid)).coins, 0);
+    });
+
+    it('rejecting a submission on an expired task refunds its slot to the buyer', async () => {
+      const submissionId = new ObjectId();
+      const task = await ctx.createTask(buyer, {
+        status: 'expired',
+        requiredWorkers: 0,
+        payableAmount: 8,
+        submissions: [{ _id: submissionId, workerId: worker.uid, status: 'pending', submittedAt: new Date() }],
+      });
+
+      const res = await ctx.request('PATCH', `/api/tasks/reject/${task._id}/${submissionId}`, { token: buyer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 8);
+    });
+
+    it('lists submissions waiting for review and approved history', async () => {
+      const task = await ctx.createTask(buyer);
+      const submissionId = await pendingSubmissionOn(task);
+
+      const pending = await ctx.request('GET', `/api/buyer-reviews/${buyer.uid}`, { token: buyer.token });
+      assert.equal(pending.status, 200);
+      assert.equal(pending.body.pendingSubmissions[0].submissions.length, 1);
+      const [review] = pending.body.pendingSubmissions[0].submissions;
+      assert.equal(review.workerEmail, undefined);
+      assert.equal(review.workerId, undefined);
+      assert.deepEqual(review.worker, { name: worker.name, role: 'worker', profilePictureUrl: null });
+
+      await ctx.request('PATCH', `/api/tasks/approve/${task._id}/${submissionId}`, { token: buyer.token });
+
+      const approved = await ctx.request('GET', '/api/buyer/approved-submissions', { token: buyer.token });
+      assert.equal(approved.status, 200);
+      assert.equal(approved.body.submissions.length, 1);
+      assert.equal(approved.body.submissions[0]._id, submissionId);
+    });
+
+    it('counts the buyer dashboard from submissions', async () => {
+      const task = await ctx.createTask(buyer, { requiredWorkers: 2, totalWorkers: 2, payableAmount: 10 });
+      const submissionId = await pendingSubmissionOn(task);
+      await ctx.request('PATCH', `/api/tasks/approve/${task._id}/${submissionId}`, { token: buyer.token });
+
+      const res = await ctx.request('GET', `/api/buyer-dashboard/${buyer.uid}`, { token: buyer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalTaskCount, 1);
+      assert.equal(res.body.coinsSpent, 10);
+      assert.equal(res.body.coinsReserved, 10);
+      assert.equal(res.body.approvalRate, 1);
+    });
+  });
+
+  describe('worker home', () => {
+    it('reports submission counts, earnings and balance', async () => {
+      const task = await ctx.createTask(buyer, { payableAmount: 12 });
+      const submissionId = await pendingSubmissionOn(task);
+      await ctx.request('PATCH', `/api/tasks/approve/${task._id}/${submissionId}`, { token: buyer.token });
+
+      const res = await ctx.request('GET', `/api/worker-home/${worker.email}`, { token: worker.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.submissions, { total: 1, pending: 0, approved: 1, rejected: 0 });
+      assert.equal(res.body.totalCoinsEarned, 12);
+      assert.equal(res.body.coins, 12);
+      assert.equal(res.body.approvedSubmissions[0].approvedAt.endsWith('Z'), true);
+    });
+
+    it('lists the worker\'s withdrawals through the owner view', async () => {
+      await ctx.collections.WithdrawalsCollection.insertOne({
+        worker_uid: worker.uid, worker_email: worker.email, withdrawal_coin: 200, withdrawal_amount: 10,
+        payment_system: 'bkash', account_number: '01712345678', status: 'pending', coins_held: 200, withdraw_date: new Date(),
+      });
+
+      const res = await ctx.request('GET', `/api/worker-home/${worker.email}`, { token: worker.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalPendingWithdrawals, 1);
+      const [withdrawal] = res.body.withdrawals;
+      assert.equal(withdrawal.account_number, '•••••••5678');
+      assert.equal(withdrawal.status, 'pending');
+      assert.equal(withdrawal.worker_email, undefined);
+      assert.equal(withdrawal.coins_held, undefined);
+    });
+  });
+});
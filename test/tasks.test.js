@@ -0,0 +1,254 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createLedger } = require('../src/ledger');
+const { expireOverdueTasks, startTaskExpiryJob } = require('../src/taskLifecycle');
+const { createTestContext } = require('./helpers');
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('task routes', () => {
+  let ctx;
+  let buyer;
+
+  const newTask = (fields = {}) => ({
+    taskTitle: 'Follow our page',
+    taskDetail: 'Follow the page and comment on the latest post',
+    requiredWorkers: 4,
+    payableAmount: 5,
+    completionDate: inDays(7),
+    submissionInfo: 'Your profile name',
+    taskImageUrl: 'https://images.example.com/follow.png',
+    userId: buyer.uid,
+    buyerName: buyer.name,
+    ...fields,
+  });
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(async () => {
+    await ctx.reset();
+    buyer = await ctx.createUser({ role: 'buyer', coins: 100 });
+  });
+
+  describe('POST /api/tasks', () => {
+    it('creates the task and charges the buyer for every slot in one transaction', async () => {
+      const res = await ctx.request('POST', '/api/tasks', { token: buyer.token, body: newTask() });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.totalCost, 20);
+      assert.equal(res.body.coins, 80);
+
+      const task = await ctx.collections.tasksCollection.findOne({ _id: new ObjectId(res.body.taskId) });
+      assert.equal(task.status, 'open');
+      assert.equal(task.totalWorkers, 4);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 80);
+
+      const charge = await ctx.collections.CoinTransactionsCollection.findOne({ uid: buyer.uid, reason: 'task_created' });
+      assert.equal(charge.amount, -20);
+      assert.equal(charge.referenceId, res.body.taskId);
+    });
+
+    it('saves nothing when the buyer cannot afford the task', async () => {
+      const res = await ctx.request('POST', '/api/tasks', { token: buyer.token, body: newTask({ requiredWorkers: 30 }) });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Insufficient coins');
+      assert.equal(await ctx.collections.tasksCollection.countDocuments(), 0);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 100);
+    });
+
+    it('rejects invalid bodies with one error per field', async () => {
+      const res = await ctx.request('POST', '/api/tasks', {
+        token: buyer.token,
+        body: newTask({ requiredWorkers: 0, payableAmount: 'lots' }),
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['payableAmount', 'requiredWorkers']);
+    });
+
+    it('rejects completion dates in the past', async () => {
+      const res = await ctx.request('POST', '/api/tasks', { token: buyer.token, body: newTask({ completionDate: inDays(-1) }) });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field), ['completionDate']);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 100);
+    });
+
+    it('does not let a buyer create tasks for someone else', async () => {
+      const other = await ctx.createUser({ role: 'buyer', coins: 100 });
+      const res = await ctx.request('POST', '/api/tasks', { token: buyer.token, body: newTask({ userId: other.uid }) });
+
+      assert.equal(res.status, 403);
+      assert.equal((await ctx.getUser(other.uid)).coins, 100);
+    });
+
+    it('replays the stored response for a repeated Idempotency-Key', async () => {
+      const headers = { 'Idempotency-Key': 'create-task-1' };
+      const first = await ctx.request('POST', '/api/tasks', { token: buyer.token, headers, body: newTask() });
+      await ctx.eventually(async () => {
+        const key = await ctx.collections.IdempotencyKeysCollection.findOne({ key: 'create-task-1' });
+        assert.equal(key.status, 'completed');
+      });
+      const retry = await ctx.request('POST', '/api/tasks', { token: buyer.token, headers, body: newTask() });
+
+      assert.equal(retry.status, first.status);
+      assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+      assert.deepEqual(retry.body, first.body);
+      assert.equal(await ctx.collections.tasksCollection.countDocuments(), 1);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 80);
+    });
+  });
+
+  describe('PATCH /api/tasks/:taskId', () => {
+    it('updates the buyer\'s own task', async () => {
+      const task = await ctx.createTask(buyer);
+      const res = await ctx.request('PATCH', `/api/tasks/${task._id}`, {
+        token: buyer.token,
+        body: { taskTitle: 'New title', taskDetail: 'New detail', submissionInfo: 'New info' },
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.collections.tasksCollection.findOne({ _id: task._id })).taskTitle, 'New title');
+    });
+  });
+
+  describe('DELETE /api/tasks/:taskId', () => {
+    it('refunds open slots and pending submissions, then marks the task removed', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+      const task = await ctx.createTask(buyer, {
+        requiredWorkers: 2,
+        totalWorkers: 3,
+        payableAmount: 10,
+        status: 'in_progress',
+        submissions: [{ _id: new ObjectId(), workerId: worker.uid, workerEmail: worker.email, status: 'pending', submittedAt: new Date() }],
+      });
+
+      const res = await ctx.request('DELETE', `/api/tasks/${task._id}`, { token: buyer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.refund, 30);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 130);
+
+      const saved = await ctx.collections.tasksCollection.findOne({ _id: task._id });
+      assert.equal(saved.status, 'cancelled');
+      assert.equal(saved.removedByBuyer, true);
+      assert.equal(saved.removedBy, buyer.uid);
+
+      const notification = await ctx.collections.NotificationsCollection.findOne({ uid: worker.uid });
+      assert.equal(notification.type, 'task_removed');
+
+      const again = await ctx.request('DELETE', `/api/tasks/${task._id}`, { token: buyer.token });
+      assert.equal(again.status, 404);
+    });
+
+    it('keeps approved submissions of a deleted task', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+      const task = await ctx.createTask(buyer, {
+        requiredWorkers: 0,
+        totalWorkers: 1,
+        status: 'completed',
+        submissions: [{ _id: new ObjectId(), workerId: worker.uid, workerEmail: worker.email, status: 'approved', submittedAt: new Date() }],
+      });
+
+      const res = await ctx.request('DELETE', `/api/tasks/${task._id}`, { token: buyer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.refund, 0);
+      const saved = await ctx.collections.tasksCollection.findOne({ _id: task._id });
+      assert.equal(saved.removedByBuyer, true);
+      assert.deepEqual(saved.submissions.map(submission => submission.status), ['approved']);
+
+      const listed = await ctx.request('GET', '/api/tasks/condition?status=completed', { token: buyer.token });
+      assert.equal(listed.status, 404);
+    });
+
+    it('lets admins delete any task and records it in the audit log', async () => {
+      const admin = await ctx.createUser({ role: 'admin' });
+      const task = await ctx.createTask(buyer, { requiredWorkers: 1, totalWorkers: 1 });
+
+      const res = await ctx.request('DELETE', `/api/tasks/${task._id}`, { token: admin.token });
+
+      assert.equal(res.status, 200);
+      const entry = await ctx.eventually(async () => {
+        const found = await ctx.collections.AuditLogCollection.findOne({ action: 'task.deleted' });
+        assert.ok(found);
+        return found;
+      });
+      assert.equal(entry.actorUid, admin.uid);
+      assert.deepEqual(entry.targets.map(target => target.type), ['task', 'user']);
+    });
+
+    it('answers 404 for a task that does not exist', async () => {
+      const res = await ctx.request('DELETE', `/api/tasks/${new ObjectId()}`, { token: buyer.token });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /api/tasks/condition', () => {
+    it('lists tasks with a status, hiding submissions from non-admins', async () => {
+      await ctx.createTask(buyer, { status: 'open' });
+      await ctx.createTask(buyer, { status: 'completed' });
+
+      const res = await ctx.request('GET', '/api/tasks/condition?status=open', { token: buyer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.tasks.length, 1);
+      assert.equal(res.body.tasks[0].submissions, undefined);
+    });
+  });
+
+  describe('task expiry job', () => {
+    const ledger = () => createLedger({ client: ctx.client, collections: ctx.collections });
+
+    it('expires overdue tasks, refunding only the unused slots', async () => {
+      const worker = await ctx.createUser({ role: 'worker' });
+      const submissionId = new ObjectId();
+      const overdue = await ctx.createTask(buyer, {
+        requiredWorkers: 2,
+        totalWorkers: 3,
+        payableAmount: 10,
+        status: 'in_progress',
+        completionDate: new Date(Date.now() - 60 * 60 * 1000),
+        submissions: [{ _id: submissionId, workerId: worker.uid, workerEmail: worker.email, status: 'pending', submittedAt: new Date() }],
+      });
+      const upcoming = await ctx.createTask(buyer);
+
+      assert.equal(await expireOverdueTasks({ collections: ctx.collections, ledger: ledger() }), 1);
+
+      const saved = await ctx.collections.tasksCollection.findOne({ _id: overdue._id });
+      assert.equal(saved.status, 'expired');
+      assert.equal(saved.requiredWorkers, 0);
+      assert.equal((await ctx.collections.tasksCollection.findOne({ _id: upcoming._id })).status, 'open');
+
+      const refunds = await ctx.collections.CoinTransactionsCollection.find({ reason: 'task_expired_refund' }).toArray();
+      assert.deepEqual(refunds.map(entry => [entry.uid, entry.amount, entry.referenceId]), [[buyer.uid, 20, overdue._id.toString()]]);
+      assert.equal((await ctx.getUser(buyer.uid)).coins, 120);
+
+      // The pending submission's coins stayed reserved, so it can still be approved
+      const approved = await ctx.request('PATCH', `/api/tasks/approve/${overdue._id}/${submissionId}`, { token: buyer.token });
+      assert.equal(approved.status, 200);
+      assert.equal((await ctx.getUser(worker.uid)).coins, 10);
+      assert.equal((await ctx.collections.tasksCollection.findOne({ _id: overdue._id })).status, 'expired');
+
+      // A second run finds nothing left to expire
+      assert.equal(await expireOverdueTasks({ collections: ctx.collections, ledger: ledger() }), 0);
+    });
+
+    it('runs as soon as the job starts', async () => {
+      const overdue = await ctx.createTask(buyer, { completionDate: new Date(Date.now() - 1000) });
+
+      const stop = startTaskExpiryJob({ collections: ctx.collections, ledger: ledger(), intervalMs: 60 * 1000 });
+      try {
+        await ctx.eventually(async () => {
+          assert.equal((await ctx.collections.tasksCollection.findOne({ _id: overdue._id })).status, 'expired');
+        });
+      } finally {
+        stop();
+      }
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs/promises');
+const sharp = require('sharp');
+const { RATE_LIMITS } = require('../src/config');
+const { createTestContext } = require('./helpers');
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+describe('image uploads', () => {
+  let ctx;
+  let png;
+
+  before(async () => {
+    ctx = await createTestContext();
+    png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#3366ff' } }).png().toBuffer();
+  });
+  after(() => ctx.close());
+  beforeEach(() => ctx.reset());
+
+  const upload = (token, kind, buffer = png, type = 'image/png') => {
+    const form = new FormData();
+    form.append('image', new Blob([buffer], { type }), 'image.png');
+    return ctx.request('POST', `/api/uploads/images?kind=${kind}`, { token, body: form });
+  };
+
+  const fileFor = (url) => path.join(ctx.storage.dir, ctx.storage.keyFromUrl(url));
+
+  it('re-encodes the image as WebP with a thumbnail and serves it', async () => {
+    const buyer = await ctx.createUser({ role: 'buyer' });
+    const res = await upload(buyer.token, 'task');
+
+    assert.equal(res.status, 201);
+    assert.match(res.body.url, /\.webp$/);
+    assert.deepEqual([res.body.width, res.body.height], [40, 30]);
+    assert.ok(await exists(fileFor(res.body.thumbnailUrl)));
+
+    const served = await fetch(res.body.url);
+    assert.equal(served.status, 200);
+    assert.equal((await sharp(Buffer.from(await served.arrayBuffer())).metadata()).format, 'webp');
+  });
+
+  it('rejects files that are not images', async () => {
+    const buyer = await ctx.createUser({ role: 'buyer' });
+    const res = await upload(buyer.token, 'task', Buffer.from('not an image'));
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects unsupported content types', async () => {
+    const buyer = await ctx.createUser({ role: 'buyer' });
+    const res = await upload(buyer.token, 'task', png, 'image/gif');
+    assert.equal(res.status, 415);
+  });
+
+  it('lets signed-in users without a profile upload, but not suspended users', async () => {
+    const token = ctx.auth.addIdentity('new-user', { email: 'new-user@example.com' });
+    assert.equal((await upload(token, 'profile')).status, 201);
+
+    const suspended = await ctx.createUser({ role: 'worker', suspended: true });
+    const res = await upload(suspended.token, 'profile');
+    assert.equal(res.status, 403);
+    assert.equal(await ctx.collections.UploadsCollection.countDocuments({ ownerUid: suspended.uid }), 0);
+  });
+
+  it('limits uploads per user', async () => {
+    const buyer = await ctx.createUser({ role: 'buyer' });
+    const other = await ctx.createUser({ role: 'buyer' });
+    // Requests without a file still count, which keeps this test fast
+    for (let i = 0; i < RATE_LIMITS.uploads.max; i++) {
+      assert.equal((await ctx.request('POST', '/api/uploads/images?kind=task', { token: buyer.token })).status, 400);
+    }
+
+    assert.equal((await upload(buyer.token, 'task')).status, 429);
+    assert.equal((await upload(other.token, 'task')).status, 201);
+  });
+
+  it('attaches the upload to a task and removes the replaced image', async () => {
+    const buyer = await ctx.createUser({ role: 'buyer', coins: 50 });
+    const first = (await upload(buyer.token, 'task')).body.url;
+    const second = (await upload(buyer.token, 'task')).body.url;
+
+    const created = await ctx.request('POST', '/api/tasks', {
+      token: buyer.token,
+      body: {
+        taskTitle: 'Photo task',
+        taskDetail: 'Take a photo',
+        requiredWorkers: 1,
+        payableAmount: 5,
+        completionDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        taskImageUrl: first,
+        userId: buyer.uid,
+        buyerName: buyer.name,
+      },
+    });
+    assert.equal(created.status, 201);
+    assert.equal((await ctx.collections.UploadsCollection.findOne({ url: first })).status, 'attached');
+
+    const updated = await ctx.request('PATCH', `/api/tasks/${created.body.taskId}`, {
+      token: buyer.token,
+      body: { taskTitle: 'Photo task', taskDetail: 'Take a photo', submissionInfo: 'The photo', taskImageUrl: second },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(await ctx.collections.UploadsCollection.findOne({ url: first }), null);
+    assert.equal(await exists(fileFor(first)), false);
+  });
+
+  it('does not let one upload be used in two places', async () => {
+    const buyer = await ctx.createUser({ role: 'buyer' });
+    const { url } = (await upload(buyer.token, 'profile')).body;
+
+    assert.equal((await ctx.request('PATCH', '/api/users/me/profile-picture', { token: buyer.token, body: { profilePictureUrl: url } })).status, 200);
+
+    const task = await ctx.createTask(buyer);
+    const res = await ctx.request('PATCH', `/api/tasks/${task._id}`, {
+      token: buyer.token,
+      body: { taskTitle: task.taskTitle, taskDetail: task.taskDetail, submissionInfo: task.submissionInfo, taskImageUrl: url },
+    });
+    assert.equal(res.status, 409);
+    assert.equal((await ctx.collections.tasksCollection.findOne({ _id: task._id })).taskImageUrl, task.taskImageUrl);
+  });
+
+  it('does not let a user attach someone else\'s upload', async () => {
+    const owner = await ctx.createUser({ role: 'buyer' });
+    const other = await ctx.createUser({ role: 'buyer' });
+    const { url } = (await upload(owner.token, 'profile')).body;
+
+    const res = await ctx.request('PATCH', '/api/users/me/profile-picture', { token: other.token, body: { profilePictureUrl: url } });
+    assert.equal(res.status, 404);
+  });
+});
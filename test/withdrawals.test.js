@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestContext } = require('./helpers');
+
+describe('withdrawal routes', () => {
+  let ctx;
+  let worker;
+  let admin;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+  after(() => ctx.close());
+  beforeEach(async () => {
+    await ctx.reset();
+    worker = await ctx.createUser({ role: 'worker', coins: 500 });
+    admin = await ctx.createUser({ role: 'admin' });
+  });
+
+  const requestWithdrawal = (coins, headers) => ctx.request('POST', '/api/withdrawals', {
+    token: worker.token,
+    headers,
+    body: { withdrawal_coin: coins, payment_system: 'bkash', account_number: '01712345678' },
+  });
+
+  describe('POST /api/withdrawals', () => {
+    it('prices the request on the server and holds the coins', async () => {
+      const res = await requestWithdrawal(200);
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.withdrawal_amount, 10);
+
+      const withdrawal = await ctx.collections.WithdrawalsCollection.findOne({ _id: new ObjectId(res.body.withdrawalId) });
+      assert.equal(withdrawal.worker_uid, worker.uid);
+      assert.equal(withdrawal.status, 'pending');
+      assert.equal(withdrawal.coins_held, true);
+
+      const user = await ctx.getUser(worker.uid);
+      assert.equal(user.coins, 500);
+      assert.equal(user.heldCoins, 200);
+    });
+
+    it('rejects requests under the minimum', async () => {
+      const res = await requestWithdrawal(50);
+      assert.equal(res.status, 400);
+      assert.match(res.body.errors[0].message, /Minimum withdrawal/);
+    });
+
+    it('does not let pending requests exceed the available balance', async () => {
+      assert.equal((await requestWithdrawal(300)).status, 201);
+      const res = await requestWithdrawal(300);
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Insufficient available coins');
+      assert.equal(await ctx.collections.WithdrawalsCollection.countDocuments(), 1);
+    });
+
+    it('is rate limited per account', async () => {
+      const statuses = [];
+      for (let i = 0; i < 6; i += 1) {
+        statuses.push((await requestWithdrawal(200)).status);
+      }
+      assert.equal(statuses[5], 429);
+    });
+  });
+
+  describe('GET /api/withdrawals/:workerEmail', () => {
+    it('lists the worker\'s own withdrawals with masked account numbers', async () => {
+      await requestWithdrawal(200);
+      const res = await ctx.request('GET', `/api/withdrawals/${worker.email}`, { token: worker.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.withdrawals.length, 1);
+      assert.equal(res.body.withdrawals[0].account_number, '•••••••5678');
+      assert.equal(res.body.withdrawals[0].worker_uid, undefined);
+    });
+
+    it('shows admins the full account number', async () => {
+      await requestWithdrawal(200);
+      const res = await ctx.request('GET', `/api/withdrawals/${worker.email}`, { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.withdrawals[0].account_number, '01712345678');
+    });
+  });
+
+  describe('admin processing', () => {
+    it('payment-success pays out the held coins and records the payment', async () => {
+      const { body } = await requestWithdrawal(200);
+      const res = await ctx.request('POST', '/api/admin/payment-success', {
+        token: admin.token,
+        body: { withdrawalId: body.withdrawalId, paymentInfo: { transactionId: 'TX-1' } },
+      });
+
+      assert.equal(res.status, 200);
+      const user = await ctx.getUser(worker.uid);
+      assert.equal(user.coins, 300);
+      assert.equal(user.heldCoins, 0);
+
+      const withdrawal = await ctx.collections.WithdrawalsCollection.findOne({ _id: new ObjectId(body.withdrawalId) });
+      assert.equal(withdrawal.status, 'payment done');
+      const payment = await ctx.collections.PaymentsCollection.findOne({ type: 'withdrawal_payout' });
+      assert.equal(payment.withdrawal_amount, 10);
+
+      const again = await ctx.request('POST', '/api/admin/payment-success', {
+        token: admin.token,
+        body: { withdrawalId: body.withdrawalId, paymentInfo: 'TX-1' },
+      });
+      assert.equal(again.status, 404);
+      assert.equal((await ctx.getUser(worker.uid)).coins, 300);
+    });
+
+    describe('payment-success with an Idempotency-Key', () => {
+      const paymentSuccess = (withdrawalId, transactionId = 'TX-1') => ctx.request('POST', '/api/admin/payment-success', {
+        token: admin.token,
+        headers: { 'Idempotency-Key': 'payout-1' },
+        body: { withdrawalId, paymentInfo: { transactionId } },
+      });
+      const storedKey = () => ctx.collections.IdempotencyKeysCollection.findOne({ uid: admin.uid, key: 'payout-1' });
+      const completed = () => ctx.eventually(async () => assert.equal((await storedKey()).status, 'completed'));
+
+      it('replays the stored response without paying out twice', async () => {
+        const { body } = await requestWithdrawal(200);
+        const first = await paymentSuccess(body.withdrawalId);
+        assert.equal(first.status, 200);
+        await completed();
+
+        const retry = await paymentSuccess(body.withdrawalId);
+
+        assert.equal(retry.status, 200);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+        assert.deepEqual(retry.body, first.body);
+        assert.equal(await ctx.collections.PaymentsCollection.countDocuments({ type: 'withdrawal_payout' }), 1);
+        assert.equal(await ctx.collections.CoinTransactionsCollection.countDocuments({ uid: worker.uid, reason: 'withdrawal_payout' }), 1);
+        assert.equal((await ctx.getUser(worker.uid)).coins, 300);
+      });
+
+      it('rejects the same key for a different request', async () => {
+        const { body } = await requestWithdrawal(200);
+        await paymentSuccess(body.withdrawalId);
+        await completed();
+
+        const res = await paymentSuccess(body.withdrawalId, 'TX-2');
+
+        assert.equal(res.status, 422);
+        assert.equal(await ctx.collections.PaymentsCollection.countDocuments({ type: 'withdrawal_payout' }), 1);
+      });
+
+      it('answers 409 while the first request is still being processed', async () => {
+        const { body } = await requestWithdrawal(200);
+        await paymentSuccess(body.withdrawalId);
+        await completed();
+        // Put the key back in the state it has while the first request is running
+        await ctx.collections.IdempotencyKeysCollection.updateOne(
+          { uid: admin.uid, key: 'payout-1' },
+          { $set: { status: 'processing', createdAt: new Date() }, $unset: { responseStatus: '', responseBody: '' } }
+        );
+
+        const res = await paymentSuccess(body.withdrawalId);
+
+        assert.equal(res.status, 409);
+        assert.equal(res.headers.get('retry-after'), '1');
+        assert.equal(await ctx.collections.PaymentsCollection.countDocuments({ type: 'withdrawal_payout' }), 1);
+      });
+    });
+
+    it('rejecting releases the hold and tells the worker', async () => {
+      const { body } = await requestWithdrawal(200);
+      const res = await ctx.request('PATCH', `/api/admin/withdrawals/${body.withdrawalId}/reject`, {
+        token: admin.token,
+        body: { reason: 'Account number does not match' },
+      });
+
+      assert.equal(res.status, 200);
+      const user = await ctx.getUser(worker.uid);
+      assert.equal(user.coins, 500);
+      assert.equal(user.heldCoins, 0);
+
+      const notification = await ctx.collections.NotificationsCollection.findOne({ uid: worker.uid, type: 'withdrawal_rejected' });
+      assert.ok(notification);
+    });
+
+    it('lists withdrawal requests for admins with filters', async () => {
+      await requestWithdrawal(200);
+      const res = await ctx.request('GET', '/api/admin/withdraw-requests?status=pending', { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.pagination.total, 1);
+      assert.equal(res.body.withdrawals[0].worker_uid, worker.uid);
+    });
+  });
+});